@@ -4,6 +4,24 @@ const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 
+// Columns of the MajorDomo User Offboarding Object Transfer Log, matching logColumns in majordomo-user-offboarding.js
+const logDatasetColumns = [
+	{ id: 'userId', name: 'userId', type: 'LONG' },
+	{ id: 'newOwnerId', name: 'newOwnerId', type: 'LONG' },
+	{ id: 'type', name: 'type', type: 'STRING' },
+	{ id: 'id', name: 'id', type: 'STRING' },
+	{ id: 'date', name: 'date', type: 'DATETIME' },
+	{ id: 'status', name: 'status', type: 'STRING' },
+	{ id: 'notes', name: 'notes', type: 'STRING' },
+	{ id: 'runId', name: 'runId', type: 'STRING' },
+	{ id: 'name', name: 'name', type: 'STRING' },
+	{ id: 'parentType', name: 'parentType', type: 'STRING' },
+	{ id: 'parentId', name: 'parentId', type: 'STRING' },
+	{ id: 'executedBy', name: 'executedBy', type: 'LONG' },
+	{ id: 'attempts', name: 'attempts', type: 'LONG' },
+	{ id: 'error', name: 'error', type: 'STRING' }
+];
+
 /**
  * MajorDomo User Offboarding Workflow and Code Engine Package Creation Script
  *
@@ -13,7 +31,7 @@ const readline = require('readline');
  * to their own Domo instance. It will:
  * 1. Get Domo access token and instance from the user
  * 2. Create DomoStats scheduled reports dataset if needed
- * 3. Create MajorDomo User Offboarding Object Transfer Log dataset if needed
+ * 3. Create MajorDomo User Offboarding Object Transfer Log dataset if needed, or add any missing columns to it
  * 4. Create MajorDomo User Offboarding code engine package
  * 5. Create Domo Product APIs Supplemental helper code engine package
  * 6. Create MajorDomo User Offboarding workflow
@@ -944,6 +962,7 @@ class DomoPackageCreator {
 				console.log(
 					`♻️  Using existing log dataset with ID: ${existingDatasetId}`
 				);
+				await this.migrateLogDataset(existingDatasetId);
 				return existingDatasetId;
 			}
 
@@ -958,43 +977,7 @@ class DomoPackageCreator {
 				},
 				body: JSON.stringify({
 					cloudId: 'domo',
-					columns: [
-						{
-							id: 'userId',
-							name: 'userId',
-							type: 'LONG'
-						},
-						{
-							id: 'newOwnerId',
-							name: 'newOwnerId',
-							type: 'LONG'
-						},
-						{
-							id: 'type',
-							name: 'type',
-							type: 'STRING'
-						},
-						{
-							id: 'id',
-							name: 'id',
-							type: 'STRING'
-						},
-						{
-							id: 'date',
-							name: 'date',
-							type: 'DATETIME'
-						},
-						{
-							id: 'status',
-							name: 'status',
-							type: 'STRING'
-						},
-						{
-							id: 'notes',
-							name: 'notes',
-							type: 'STRING'
-						}
-					],
+					columns: logDatasetColumns,
 					name: 'MajorDomo User Offboarding Object Transfer Log'
 				})
 			});
@@ -1016,6 +999,63 @@ class DomoPackageCreator {
 		}
 	}
 
+	async migrateLogDataset(datasetId) {
+		console.log('🔄 Checking log dataset columns...');
+
+		const url = `${this.baseUrl}/api/data/v2/webforms/${datasetId}`;
+		const response = await fetch(url, {
+			method: 'GET',
+			headers: {
+				'X-Domo-Developer-Token': this.accessToken
+			}
+		});
+
+		if (!response.ok) {
+			const errorText = await response.text();
+			throw new Error(
+				`Failed to get log dataset columns: ${response.status} ${errorText}`
+			);
+		}
+
+		const webform = await response.json();
+		const columns = webform.columns || [];
+		const existingNames = columns.map((column) => column.name);
+		const missingColumns = logDatasetColumns.filter(
+			(column) => !existingNames.includes(column.name)
+		);
+
+		if (missingColumns.length === 0) {
+			console.log('✅ Log dataset columns are up to date');
+			return;
+		}
+
+		// Older logs only have the original columns, so the new ones are added to the end
+		const updateResponse = await fetch(url, {
+			method: 'PUT',
+			headers: {
+				'X-Domo-Developer-Token': this.accessToken,
+				'Content-Type': 'application/json'
+			},
+			body: JSON.stringify({
+				...webform,
+				columns: [...columns, ...missingColumns]
+			})
+		});
+
+		if (!updateResponse.ok) {
+			const errorText = await updateResponse.text();
+			throw new Error(
+				`Failed to add log dataset columns: ${updateResponse.status} ${errorText}`
+			);
+		}
+
+		console.log(
+			`✅ Added log dataset columns: ${missingColumns
+				.map((column) => column.name)
+				.join(', ')}`
+		);
+	}
+
 	async getCurrentUserId() {
 		console.log('👤 Getting current user ID...');
 
@@ -2,6 +2,20 @@
 
 const codeengine = require('codeengine');
 
+// Retries for requests that fail with a 408, 429, 5xx or no response. Attempts include the first try.
+const requestRetries = {
+	baseDelayMs: 500, // Delays grow exponentially from here, with full jitter
+	maxDelayMs: 15000,
+	methods: {
+		GET: { attempts: 4 },
+		PUT: { attempts: 4 },
+		DELETE: { attempts: 4 },
+		PATCH: { attempts: 1 },
+		// POST is not always idempotent, and none of the POST endpoints used here are known to be, so it is not retried
+		POST: { attempts: 1 }
+	}
+};
+
 class Helpers {
 	/**
 	 * Helper function to handle API requests and errors
@@ -20,28 +34,80 @@ class Helpers {
 		headers = null,
 		contentType = 'application/json'
 	) {
-		try {
-			return await codeengine.sendRequest(
-				method,
-				url,
-				body,
-				headers,
-				contentType
-			);
-		} catch (error) {
-			console.error(
-				`Error with ${method} request to ${url}\nPayload:\n${JSON.stringify(
+		const attempts = getRetryAttempts(method, url);
+
+		for (let attempt = 1; ; attempt++) {
+			try {
+				return await codeengine.sendRequest(
+					method,
+					url,
 					body,
-					null,
-					2
-				)}\nError:\n`,
-				error
-			);
-			throw error;
+					headers,
+					contentType
+				);
+			} catch (error) {
+				const status = getErrorStatus(error);
+
+				if (attempt < attempts && isRetryableStatus(status)) {
+					const delay =
+						Math.random() *
+						Math.min(
+							requestRetries.maxDelayMs,
+							requestRetries.baseDelayMs * 2 ** (attempt - 1)
+						);
+					console.warn(
+						`Retrying ${method} ${url} after ${
+							status || 'no response'
+						} (attempt ${attempt + 1} of ${attempts})`
+					);
+					await new Promise((resolve) => setTimeout(resolve, delay));
+					continue;
+				}
+
+				console.error(
+					`Error with ${method} request to ${url}\nPayload:\n${JSON.stringify(
+						body,
+						null,
+						2
+					)}\nError:\n`,
+					error
+				);
+				throw error;
+			}
 		}
 	}
 }
 
+function getRetryAttempts(method, url) {
+	const policy = requestRetries.methods[method.toUpperCase()];
+	if (!policy) {
+		return 1;
+	}
+	if (policy.endpoints) {
+		const path = url.split('?')[0].replace(/^\//, '');
+		if (!policy.endpoints.some((endpoint) => path.startsWith(endpoint))) {
+			return 1;
+		}
+	}
+	return policy.attempts;
+}
+
+function getErrorStatus(error) {
+	if (!error) {
+		return null;
+	}
+	const status =
+		error.status ||
+		error.statusCode ||
+		(error.response && error.response.status) ||
+		null;
+	return status ? parseInt(status) : null;
+}
+
+function isRetryableStatus(status) {
+	return !status || status === 408 || status === 429 || status >= 500;
+}
+
 const { handleRequest } = Helpers;
 
 /**
@@ -1,10 +1,224 @@
 /* eslint require-atomic-updates: 0 */
 const codeengine = require('codeengine');
+const { AsyncLocalStorage } = require('async_hooks');
 
-const logDatasetId = '83dec9f2-206b-445a-90ea-b6a368b3157d'; // Format: userId,newOwnerId,type,id,date,status,notes
+const logDatasetId = '83dec9f2-206b-445a-90ea-b6a368b3157d'; // Format: see logColumns
 const domostatsScheduledReportsDatasetId =
 	'b7306441-b8a7-481c-baaf-4fffadb0ff61'; // https://www.domo.com/appstore/connector/domostats/datasets
 
+// Columns of the log DataSet, in upload order
+const logColumns = [
+	'userId',
+	'newOwnerId',
+	'type',
+	'id',
+	'date',
+	'status',
+	'notes',
+	'runId',
+	'name', // Object name, when discovered
+	'parentType', // Containing object, such as a task's queue
+	'parentId',
+	'executedBy', // User the package ran as
+	'attempts', // Requests tried for the object, including retries
+	'error' // Failure detail with method, endpoint and HTTP status
+];
+
+// Where log rows are written. Each sink is { type: 'dataset', datasetId }, { type: 'appdb', collectionId } or
+// { type: 'memory' }. resumeRun and reverseTransfer read rows back from the first sink.
+const logSinkConfig = [{ type: 'dataset', datasetId: logDatasetId }];
+
+// Goal periods searched for goals: 'CURRENT', 'CURRENT_AND_FUTURE', or 'ALL' to include closed periods as well
+const goalPeriods = 'CURRENT';
+
+// What happens to Beast Modes and Variables with no valid links left: 'DELETE', or 'ARCHIVE' to keep them out of sight
+const orphanedFunctionAction = 'DELETE';
+
+// Limits for every request the package sends, to keep large offboardings under Domo API throttling
+const requestScheduling = {
+	maxInFlight: 8, // Requests allowed in flight at once
+	rateLimits: {
+		// Max requests per second, keyed by endpoint prefix
+		'api/search/v1/query': 10,
+		'api/query/v1/functions/template': 10
+	},
+	backoffBaseMs: 1000, // First pause for an endpoint after a 429 or 5xx response, doubled on each one in a row
+	backoffMaxMs: 60000
+};
+
+// Retries for requests that fail with a 408, 429, 5xx or no response. Attempts include the first try.
+const requestRetries = {
+	baseDelayMs: 500, // Delays grow exponentially from here, with full jitter
+	maxDelayMs: 15000,
+	methods: {
+		GET: { attempts: 4 },
+		PUT: { attempts: 4 },
+		DELETE: { attempts: 4 },
+		PATCH: { attempts: 1 },
+		// POST is not always idempotent, so it only retries on endpoints that opt in here
+		POST: {
+			attempts: 4,
+			endpoints: [
+				'api/search/v1/query',
+				'api/data/ui/v3/datasources/ownedBy',
+				'api/data/v3/datasources/bulk',
+				'api/query/v1/execute',
+				'api/query/v1/functions/search',
+				'api/content/v1/dataapps/adminsummary',
+				'api/content/v1/pages/adminsummary',
+				'api/datastores/v1/collections/query',
+				'api/version/v1/repositories/search',
+				'api/content/v1/metrics/filter',
+				'api/queues/v1/tasks/list',
+				'api/data/v1/ui/bulk/reassign',
+				'api/content/v1/cards/owners/add'
+			]
+		}
+	}
+};
+
+/**
+ * A failed API request, with enough context to trace which object it was for
+ */
+class RequestError extends Error {
+	/**
+	 * @param {text} method - The HTTP method
+	 * @param {text} endpoint - The endpoint URL
+	 * @param {number|null} status - The HTTP status, if the request got a response
+	 * @param {Error} cause - The underlying error
+	 * @param {number} [attempts=1] - How many times the request was tried
+	 */
+	constructor(method, endpoint, status, cause, attempts = 1) {
+		super(
+			`${method} ${endpoint} failed${status ? ` with status ${status}` : ''}: ${
+				(cause && cause.message) || JSON.stringify(cause)
+			}`
+		);
+		this.name = 'RequestError';
+		this.method = method;
+		this.endpoint = endpoint;
+		this.status = status;
+		this.cause = cause;
+		this.attempts = attempts;
+		// Set by the transfer that made the request
+		this.objectType = null;
+		this.objectId = null;
+	}
+}
+
+/**
+ * Queues requests so no more than maxInFlight run at once and each rate limited endpoint stays under its requests per
+ * second. An endpoint that answers 429 or 5xx is paused with exponential backoff before its next request goes out.
+ */
+class RequestScheduler {
+	/**
+	 * @param {Object} config - See requestScheduling
+	 */
+	constructor({ maxInFlight, rateLimits = {}, backoffBaseMs, backoffMaxMs }) {
+		this.maxInFlight = maxInFlight;
+		this.rateLimits = rateLimits;
+		this.backoffBaseMs = backoffBaseMs;
+		this.backoffMaxMs = backoffMaxMs;
+		this.inFlight = 0;
+		this.waiting = [];
+		this.endpoints = new Map();
+	}
+
+	/**
+	 * @param {text} url - The endpoint URL, used to find its rate limit and backoff
+	 * @param {Function} send - Sends the request
+	 * @returns {Promise<Object>} The response from send
+	 */
+	async schedule(url, send) {
+		const endpoint = this.getEndpoint(url);
+
+		// Reserve the endpoint's next rate limited slot, then wait out any backoff
+		const now = Date.now();
+		const start = Math.max(now, endpoint.nextSlot);
+		if (endpoint.interval > 0) {
+			endpoint.nextSlot = start + endpoint.interval;
+		}
+		await sleep(start - now);
+		while (endpoint.pausedUntil > Date.now()) {
+			await sleep(endpoint.pausedUntil - Date.now());
+		}
+
+		await this.acquire();
+		try {
+			const response = await send();
+			endpoint.failures = 0;
+			return response;
+		} catch (error) {
+			const status = getErrorStatus(error);
+			if (status === 429 || status >= 500) {
+				this.backOff(endpoint, error);
+			}
+			throw error;
+		} finally {
+			this.release();
+		}
+	}
+
+	getEndpoint(url) {
+		const path = url.split('?')[0].replace(/^\//, '');
+		const prefix = Object.keys(this.rateLimits).find((key) =>
+			path.startsWith(key)
+		);
+		// Endpoints without a rate limit are tracked per path, with IDs collapsed so one bad object pauses its siblings
+		const key =
+			prefix ||
+			path
+				.split('/')
+				.map((segment) => (/\d/.test(segment) ? ':id' : segment))
+				.join('/');
+
+		if (!this.endpoints.has(key)) {
+			this.endpoints.set(key, {
+				interval: prefix ? 1000 / this.rateLimits[prefix] : 0,
+				nextSlot: 0,
+				pausedUntil: 0,
+				failures: 0
+			});
+		}
+		return this.endpoints.get(key);
+	}
+
+	backOff(endpoint, error) {
+		endpoint.failures++;
+		const delay =
+			getRetryAfterMs(error) ||
+			Math.min(
+				this.backoffMaxMs,
+				this.backoffBaseMs * 2 ** (endpoint.failures - 1)
+			);
+		endpoint.pausedUntil = Math.max(endpoint.pausedUntil, Date.now() + delay);
+	}
+
+	async acquire() {
+		if (this.inFlight < this.maxInFlight) {
+			this.inFlight++;
+			return;
+		}
+		// release hands its slot straight to the next waiter
+		await new Promise((resolve) => this.waiting.push(resolve));
+	}
+
+	release() {
+		const next = this.waiting.shift();
+		if (next) {
+			next();
+		} else {
+			this.inFlight--;
+		}
+	}
+}
+
+const scheduler = new RequestScheduler(requestScheduling);
+
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+}
+
 class Helpers {
 	/**
 	 * Helper function to handle API requests and errors
@@ -14,7 +228,7 @@ class Helpers {
 	 * @param {Object} [headers=null] - The request headers
 	 * @param {text} [content='application/json'] - Request body content type
 	 * @returns {Object} The response data
-	 * @throws {Error} If the request fails
+	 * @throws {RequestError} If the request fails
 	 */
 	static async handleRequest(
 		method,
@@ -23,23 +237,331 @@ class Helpers {
 		headers = null,
 		contentType = 'application/json'
 	) {
+		const attempts = getRetryAttempts(method, url);
+
+		for (let attempt = 1; ; attempt++) {
+			try {
+				return await scheduler.schedule(url, () =>
+					codeengine.sendRequest(method, url, body, headers, contentType)
+				);
+			} catch (error) {
+				const status = getErrorStatus(error);
+
+				if (attempt < attempts && isRetryableStatus(status)) {
+					const delay =
+						Math.random() *
+						Math.min(
+							requestRetries.maxDelayMs,
+							requestRetries.baseDelayMs * 2 ** (attempt - 1)
+						);
+					recordRetry(
+						`Retried ${method} ${url} after ${
+							status || 'no response'
+						} (attempt ${attempt + 1} of ${attempts})`
+					);
+					await sleep(delay);
+					continue;
+				}
+
+				console.error(
+					`Error with ${method} request to ${url}\nError:\n${JSON.stringify(
+						error
+					)}\nPayload:\n${JSON.stringify(body, null, 2)}`
+				);
+				throw new RequestError(method, url, status, error, attempt);
+			}
+		}
+	}
+}
+
+function getRetryAttempts(method, url) {
+	const policy = requestRetries.methods[method.toUpperCase()];
+	if (!policy) {
+		return 1;
+	}
+	if (policy.endpoints) {
+		const path = url.split('?')[0].replace(/^\//, '');
+		if (!policy.endpoints.some((endpoint) => path.startsWith(endpoint))) {
+			return 1;
+		}
+	}
+	return policy.attempts;
+}
+
+function isRetryableStatus(status) {
+	return !status || status === 408 || status === 429 || status >= 500;
+}
+
+// Collects retries made on behalf of one object (or batch) so they can be written to its log notes
+const retryTracker = new AsyncLocalStorage();
+
+function recordRetry(message) {
+	const retries = retryTracker.getStore();
+	if (retries) {
+		retries.push(message);
+	}
+}
+
+/**
+ * Run an object's transfer, adding any request retries it needed to the notes of its results along with the
+ * number of attempts
+ *
+ * @param {Function} transfer - Returns the result, or an array of results for a batch
+ * @returns {Promise<Object|Object[]>} The results from transfer
+ */
+async function withRetryNotes(transfer) {
+	const retries = [];
+	const results = await retryTracker.run(retries, transfer);
+
+	const addNotes = (result) => ({
+		...result,
+		notes: [result.notes, ...retries].filter(Boolean).join('; ') || null,
+		attempts: retries.length + 1
+	});
+	return Array.isArray(results) ? results.map(addNotes) : addNotes(results);
+}
+
+function getErrorStatus(error) {
+	if (!error) {
+		return null;
+	}
+	const status =
+		error.status ||
+		error.statusCode ||
+		(error.response && error.response.status) ||
+		null;
+	return status ? parseInt(status) : null;
+}
+
+function getRetryAfterMs(error) {
+	const headers =
+		(error && (error.headers || (error.response && error.response.headers))) ||
+		{};
+	const retryAfter = parseInt(headers['retry-after'] || headers['Retry-After']);
+	return retryAfter > 0 ? retryAfter * 1000 : null;
+}
+
+/**
+ * Build the result for an object whose transfer threw, tagging the error with the object it was for
+ *
+ * @param {string} id - The object ID
+ * @param {string} type - The object type
+ * @param {Error} error - The error that stopped the transfer
+ * @returns {Object} The result as { id, type, status, notes }, NOT_FOUND when the object no longer exists, otherwise FAILED
+ */
+function errorResult(id, type, error) {
+	if (error instanceof RequestError) {
+		error.objectType = type;
+		error.objectId = id;
+		if (error.status === 404) {
+			return { id, type, status: 'NOT_FOUND', error: error.message };
+		}
+	}
+	console.error(`Failed to transfer ${type} ${id}:`, error.message);
+	return { id, type, status: 'FAILED', error: error.message };
+}
+
+/**
+ * Build the result for an object that is not owned by the user being offboarded, so it was left alone
+ *
+ * @param {string} id - The object ID
+ * @param {string} type - The object type
+ * @param {string} ownerId - The object's actual owner, if known
+ * @returns {Object} The result as { id, type, status, notes }
+ */
+function notOwnerResult(id, type, ownerId = null) {
+	return {
+		id,
+		type,
+		status: 'SKIPPED_NOT_OWNER',
+		notes: ownerId ? `Owned by ${ownerId}` : 'Not owned by the user'
+	};
+}
+
+// How objects that can have several owners are handed over
+const coOwnerPolicies = [
+	'ADD_ONLY', // Add the new owner and leave the user as a co-owner
+	'REPLACE', // Add the new owner and remove the user
+	'SKIP_IF_OTHER_OWNER_EXISTS' // Leave objects that already have another owner with them and remove the user, otherwise REPLACE
+];
+
+/**
+ * Apply SKIP_IF_OTHER_OWNER_EXISTS, setting aside any object that already has an owner besides the user so the new
+ * owner is not stacked on top of them
+ *
+ * @param {string[]} ids - The object IDs
+ * @param {string} type - The object type
+ * @param {string} userId - The ID of the user being offboarded
+ * @param {string} coOwnerPolicy - One of coOwnerPolicies
+ * @param {Function} getOwnerIds - Called with an ID, returns the IDs of its user owners, or null when they are unknown
+ * @returns {Object} The IDs to transfer as ids, and a result for each object set aside as skipped
+ */
+function filterCoOwned(ids, type, userId, coOwnerPolicy, getOwnerIds) {
+	if (coOwnerPolicy !== 'SKIP_IF_OTHER_OWNER_EXISTS') {
+		return { ids, skipped: [] };
+	}
+
+	const remaining = [];
+	const skipped = [];
+	for (const id of ids) {
+		const otherOwners = (getOwnerIds(id) || []).filter(
+			(ownerId) => ownerId != userId
+		);
+		if (otherOwners.length > 0) {
+			skipped.push({
+				id,
+				type,
+				status: 'SKIPPED_OTHER_OWNER',
+				notes: `Left with ${otherOwners.join(', ')}`
+			});
+		} else {
+			remaining.push(id);
+		}
+	}
+	return { ids: remaining, skipped };
+}
+
+/**
+ * Remove the user from the objects set aside by filterCoOwned, leaving them with their other owners
+ *
+ * @param {Object[]} skipped - The skipped results from filterCoOwned
+ * @param {Function} remove - Called with the batch of IDs
+ * @returns {Promise<Object[]>} The skipped results, or a failure per object if the user could not be removed
+ */
+async function removeFromCoOwned(skipped, remove) {
+	if (skipped.length === 0) {
+		return skipped;
+	}
+
+	const results = await transferBatch(
+		skipped.map((result) => result.id),
+		skipped[0].type,
+		remove
+	);
+	return results.map((result, index) =>
+		result.status === 'TRANSFERRED'
+			? {
+					...result,
+					status: skipped[index].status,
+					notes: skipped[index].notes
+			  }
+			: result
+	);
+}
+
+/**
+ * Remove the user as an owner once the new owner has been added, unless coOwnerPolicy is ADD_ONLY. The new owner
+ * already has the objects, so a failure is noted on each result instead of failing the transfer.
+ *
+ * @param {Object[]} results - The results of adding the new owner
+ * @param {string} coOwnerPolicy - One of coOwnerPolicies
+ * @param {Function} remove - Called with the batch of IDs
+ * @returns {Promise<Object[]>} The results, noting on each that the user is still an owner if they could not be removed
+ */
+async function removePreviousOwner(results, coOwnerPolicy, remove) {
+	if (
+		coOwnerPolicy === 'ADD_ONLY' ||
+		results.length === 0 ||
+		results.some((result) => result.status === 'FAILED')
+	) {
+		return results;
+	}
+
+	try {
+		await remove(results.map((result) => result.id));
+		return results;
+	} catch (error) {
+		console.error(
+			`Failed to remove the previous ${results[0].type} owner:`,
+			error.message
+		);
+		const note = `The previous owner is still an owner: ${error.message}`;
+		return results.map((result) => ({
+			...result,
+			notes: [result.notes, note].filter(Boolean).join('; ')
+		}));
+	}
+}
+
+/**
+ * Get each object's owners for SKIP_IF_OTHER_OWNER_EXISTS from discovery. Objects passed by ID were not discovered,
+ * so the user's objects of that type are discovered again to find their owners.
+ *
+ * @param {string[]} ids - The object IDs
+ * @param {string} userId - The ID of the user being offboarded
+ * @param {Object} discovered - The discovered objects keyed by ID
+ * @param {string} coOwnerPolicy - One of coOwnerPolicies
+ * @param {Function} discover - The type's discover function
+ * @returns {Promise<Map<string, Object[]>>} Owners keyed by ID, empty unless coOwnerPolicy is SKIP_IF_OTHER_OWNER_EXISTS
+ */
+async function getDiscoveredOwners(
+	ids,
+	userId,
+	discovered,
+	coOwnerPolicy,
+	discover
+) {
+	const ownersById = new Map();
+	if (coOwnerPolicy !== 'SKIP_IF_OTHER_OWNER_EXISTS') {
+		return ownersById;
+	}
+
+	const items = ids.every((id) => discovered[id])
+		? ids.map((id) => discovered[id])
+		: await discover(userId);
+	for (const item of items) {
+		ownersById.set(item.id.toString(), item.owners);
+	}
+	return ownersById;
+}
+
+function getUserOwnerIds(owners) {
+	return owners
+		? owners.filter((owner) => owner.type === 'USER').map((owner) => owner.id)
+		: null;
+}
+
+/**
+ * Transfer objects individually, recording a failure for any object whose transfer throws and carrying on with the rest.
+ * Transfers run concurrently, with the request scheduler bounding how many requests are in flight.
+ *
+ * @param {string[]} ids - The object IDs
+ * @param {string} type - The object type
+ * @param {Function} transfer - Called with each ID, may return a result when the object was not transferred
+ * @returns {Promise<Object[]>} A result per object
+ */
+async function transferEach(ids, type, transfer) {
+	return await Promise.all(
+		ids.map((id) =>
+			withRetryNotes(async () => {
+				try {
+					const result = await transfer(id);
+					return result || { id, type, status: 'TRANSFERRED' };
+				} catch (error) {
+					return errorResult(id, type, error);
+				}
+			})
+		)
+	);
+}
+
+/**
+ * Transfer a batch of objects with one request, recording every object as failed if it throws
+ *
+ * @param {string[]} ids - The object IDs
+ * @param {string} type - The object type
+ * @param {Function} transfer - Called with the batch of IDs
+ * @returns {Promise<Object[]>} A result per object
+ */
+async function transferBatch(ids, type, transfer) {
+	return await withRetryNotes(async () => {
 		try {
-			return await codeengine.sendRequest(
-				method,
-				url,
-				body,
-				headers,
-				contentType
-			);
+			await transfer(ids);
+			return ids.map((id) => ({ id, type, status: 'TRANSFERRED' }));
 		} catch (error) {
-			console.error(
-				`Error with ${method} request to ${url}\nError:\n${JSON.stringify(
-					error
-				)}\nPayload:\n${JSON.stringify(body, null, 2)}`
-			);
-			// throw error;
+			return ids.map((id) => errorResult(id, type, error));
 		}
-	}
+	});
 }
 
 const { handleRequest } = Helpers;
@@ -50,6 +572,109 @@ async function getUserName(userId) {
 	return user.displayName || null;
 }
 
+/**
+ * Get a user's identity attributes, such as isActive and reportsTo
+ *
+ * @param {number} userId - The user ID
+ * @returns {Promise<Object|null>} The attributes keyed by name, with the first value of each, or null if the user does not exist
+ */
+async function getUserAttributes(userId) {
+	let response;
+	try {
+		response = await handleRequest(
+			'GET',
+			`api/identity/v1/users/${userId}?parts=detailed`
+		);
+	} catch (error) {
+		if (error instanceof RequestError && error.status === 404) {
+			return null;
+		}
+		throw error;
+	}
+	if (!response.users || response.users.length === 0) {
+		return null;
+	}
+
+	return (response.users[0].attributes || []).reduce(
+		(map, obj) => ({
+			...map,
+			[obj.key]: Array.isArray(obj.values) ? obj.values[0] : undefined
+		}),
+		{}
+	);
+}
+
+/**
+ * Find a new owner for a departing user by walking up their reportsTo chain. Managers who are inactive, or who
+ * have a run of their own in the log DataSet that has not been reversed, are passed over.
+ *
+ * @param {number} userId - The ID of the user being offboarded
+ * @returns {Promise<Object>} The new owner as { newOwnerId, reason }, with a null newOwnerId if nobody qualifies
+ */
+async function resolveNewOwner(userId) {
+	const passedOver = [];
+	const visited = new Set([userId.toString()]);
+	let attributes = await getUserAttributes(userId);
+	let offboarded = null;
+
+	while (
+		attributes &&
+		attributes.reportsTo != null &&
+		attributes.reportsTo !== ''
+	) {
+		const managerId = attributes.reportsTo.toString();
+		// Guard against reporting loops
+		if (visited.has(managerId)) {
+			break;
+		}
+		visited.add(managerId);
+
+		attributes = await getUserAttributes(managerId);
+		if (attributes && !offboarded) {
+			offboarded = await getOffboardedUserIds();
+		}
+
+		if (!attributes) {
+			passedOver.push(`${managerId} no longer exists`);
+		} else if (
+			attributes.isActive === false ||
+			attributes.isActive === 'false'
+		) {
+			passedOver.push(`${managerId} is inactive`);
+		} else if (offboarded.has(managerId)) {
+			passedOver.push(`${managerId} is being offboarded`);
+		} else {
+			let reason = `Resolved as the nearest active manager of ${userId}`;
+			if (passedOver.length > 0) {
+				reason += ` (passed over ${passedOver.join('; ')})`;
+			}
+			return { newOwnerId: parseInt(managerId), reason };
+		}
+	}
+
+	return {
+		newOwnerId: null,
+		reason: `No active manager found for user ${userId}, so a newOwnerId is required`
+	};
+}
+
+/**
+ * Get the users whose own content has been transferred, from the RUN rows of runs that were not reversed since
+ *
+ * @returns {Promise<Set>} The user IDs, as strings
+ */
+async function getOffboardedUserIds() {
+	const rows = await readLogRows('type', 'RUN');
+	const reversedRunIds = new Set(
+		rows.filter((row) => row.status === 'REVERSED').map((row) => row.id)
+	);
+	return new Set(
+		rows
+			.filter((row) => isRunStart(row) && !reversedRunIds.has(row.runId))
+			.map((row) => row.userId.toString())
+	);
+}
+
 /**
  * Retrieve all active sessions and delete those belonging to the specified user.
  *
@@ -112,23 +737,63 @@ async function deleteUser(userId) {
 	await handleRequest('DELETE', url);
 }
 
-async function appendToDataset(csvValues, datasetId = logDatasetId) {
+/**
+ * Encode one CSV field as described in RFC 4180. Null and undefined become an empty field, and fields containing a
+ * comma, quote or line break are quoted with inner quotes doubled.
+ *
+ * @param {*} value - The field value
+ * @returns {string} The encoded field
+ */
+function encodeCsvField(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+	const text = value.toString();
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Encode rows as RFC 4180 CSV, each row ending with CRLF
+ *
+ * @param {Array[]} rows - The rows, each an array of field values
+ * @returns {string} The CSV text
+ */
+function encodeCsv(rows) {
+	return rows.map((row) => row.map(encodeCsvField).join(',') + '\r\n').join('');
+}
+
+/**
+ * Append rows to a DataSet in a single upload
+ *
+ * @param {Array[]|string} rows - Rows as arrays of field values, or CSV text that is already encoded
+ * @param {string} [datasetId] - The DataSet ID, the log DataSet by default
+ */
+async function appendToDataset(rows, datasetId = logDatasetId) {
+	const csvValues = typeof rows === 'string' ? rows : encodeCsv(rows);
+	const uploadId = await startUpload(datasetId);
+	await uploadPart(datasetId, uploadId, 1, csvValues);
+	return await commitUpload(datasetId, uploadId);
+}
+
+async function startUpload(datasetId) {
 	const uploadUrl = `api/data/v3/datasources/${datasetId}/uploads`;
 	const uploadBody = {
 		action: 'APPEND',
 		message: 'Uploading',
 		appendId: 'latest'
 	};
-	// Start upload session
 	const { uploadId } = await handleRequest('POST', uploadUrl, uploadBody);
+	return uploadId;
+}
 
-	// Upload data part
-	const partsUrl = uploadUrl + `/${uploadId}/parts/1`;
+async function uploadPart(datasetId, uploadId, partNumber, csvValues) {
+	const partsUrl = `api/data/v3/datasources/${datasetId}/uploads/${uploadId}/parts/${partNumber}`;
 	//const partsUrl = UPLOADS_PARTS_URL.replace(':id', dataset).replace(':uploadId', uploadId);
 	await handleRequest('PUT', partsUrl, csvValues, null, 'text/csv');
+}
 
-	// Commit upload
-	const commitUrl = uploadUrl + `/${uploadId}/commit`;
+async function commitUpload(datasetId, uploadId) {
+	const commitUrl = `api/data/v3/datasources/${datasetId}/uploads/${uploadId}/commit`;
 	//const commitUrl = UPLOADS_COMMIT_URL.replace(':id', dataset).replace(':uploadId', uploadId);
 	const commitBody = {
 		index: true,
@@ -145,2650 +810,5365 @@ async function logTransfers(
 	type,
 	ids,
 	status = 'TRANSFERRED',
-	notes = null
+	notes = null,
+	runId = null
 ) {
+	await logRows(
+		ids.map((id) => ({ userId, newOwnerId, type, id, status, notes, runId }))
+	);
+}
+
+/**
+ * Write rows to every log sink in batches. The date and executing user are filled in, and any other missing
+ * column is left empty.
+ *
+ * @param {Object[]} rows - Rows keyed by the names in logColumns
+ */
+async function logRows(rows) {
 	const BATCH_SIZE = 50;
-	let batch = [];
 	const date = new Date().toISOString().slice(0, -5); // Format: YYYY-MM-DDTHH:mm:ss
+	const executedBy = await getExecutingUserId();
+
+	for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+		const batch = rows.slice(i, i + BATCH_SIZE).map((row) => {
+			const entry = { date, executedBy, ...row };
+			const complete = {};
+			for (const column of logColumns) {
+				complete[column] = entry[column] === undefined ? null : entry[column];
+			}
+			return complete;
+		});
 
-	for (const id of ids) {
-		batch.push(
-			`${userId},${newOwnerId},${type},${id},${date},${status},${notes}`
-		);
-
-		if (batch.length >= BATCH_SIZE) {
+		// One sink failing should not stop the others
+		for (const sink of logSinks) {
 			try {
-				await appendToDataset(batch.join('\n') + '\n', logDatasetId);
+				await sink.write(batch);
 			} catch (error) {
 				console.error('Logging failed:', error);
 			}
-			batch = [];
 		}
 	}
+}
+
+/**
+ * Writes log rows to a Domo DataSet, such as a webform with the columns in logColumns. Rows are buffered and
+ * uploaded as parts of one upload session, which is committed every commitIntervalMs and when the sink is flushed,
+ * so a run cut off by a timeout keeps everything logged before its last commit.
+ */
+class DatasetLogSink {
+	/**
+	 * @param {string} datasetId - The DataSet ID
+	 * @param {number} [partSize=1000] - Rows to buffer before uploading a part
+	 * @param {number} [commitIntervalMs=30000] - How long rows can wait before they are uploaded and committed
+	 */
+	constructor(datasetId, partSize = 1000, commitIntervalMs = 30000) {
+		this.datasetId = datasetId;
+		this.partSize = partSize;
+		this.commitIntervalMs = commitIntervalMs;
+		this.buffer = [];
+		this.upload = null; // Resolves to the upload ID once the session is started
+		this.partCount = 0;
+		this.parts = [];
+		this.lastCommit = Date.now();
+	}
+
+	async write(rows) {
+		this.buffer.push(...rows);
+		if (Date.now() - this.lastCommit >= this.commitIntervalMs) {
+			await this.flush();
+		} else if (this.buffer.length >= this.partSize) {
+			await this.uploadBuffer();
+		}
+	}
+
+	async uploadBuffer() {
+		if (this.buffer.length === 0) {
+			return;
+		}
+		const csvValues = encodeCsv(
+			this.buffer.map((row) => logColumns.map((column) => row[column]))
+		);
+		this.buffer = [];
+
+		// Number the part now, since writes from other object types can upload parts concurrently
+		const partNumber = ++this.partCount;
+		if (!this.upload) {
+			const upload = startUpload(this.datasetId);
+			// A session that failed to start is dropped so the next part starts a new one
+			upload.catch(() => {
+				if (this.upload === upload) {
+					this.upload = null;
+					this.partCount = 0;
+				}
+			});
+			this.upload = upload;
+		}
+		const upload = this.upload;
+		const part = (async () => {
+			await uploadPart(this.datasetId, await upload, partNumber, csvValues);
+		})();
+		this.parts.push(part);
+		await part;
+	}
 
-	if (batch.length > 0) {
+	async flush() {
+		this.lastCommit = Date.now();
 		try {
-			await appendToDataset(batch.join('\n') + '\n', logDatasetId);
+			await this.uploadBuffer();
 		} catch (error) {
 			console.error('Logging failed:', error);
 		}
-	}
-}
+		if (!this.upload) {
+			return;
+		}
 
-//---------------------------TRANSFER-----------------------//
+		const upload = this.upload;
+		const parts = this.parts;
+		this.upload = null;
+		this.partCount = 0;
+		this.parts = [];
 
-async function transferContent(userId, newOwnerId, objectsToTransfer = []) {
-	let currentPeriodId = await getCurrentPeriod();
+		// Commit the parts that made it, even if one of them failed
+		await Promise.allSettled(parts);
+		await commitUpload(this.datasetId, await upload);
+	}
 
-	// Parse objects by type if specific objects are provided
-	const objectsByType = {};
-	if (objectsToTransfer.length > 0) {
-		for (const obj of objectsToTransfer) {
-			if (!objectsByType[obj.type]) {
-				objectsByType[obj.type] = [];
-			}
-			objectsByType[obj.type].push(obj.id);
-		}
+	async read(column, value) {
+		return await queryDatasetRows(this.datasetId, logColumns, column, value);
 	}
+}
 
-	await Promise.all([
-		transferDatasets(userId, newOwnerId, objectsByType['DATA_SOURCE'] || []),
+/**
+ * Writes log rows as documents in an AppDB collection, for instances without a log DataSet
+ */
+class AppDbLogSink {
+	/**
+	 * @param {string} collectionId - The AppDB collection ID
+	 */
+	constructor(collectionId) {
+		this.collectionId = collectionId;
+	}
 
-		transferDataflows(userId, newOwnerId, objectsByType['DATAFLOW_TYPE'] || []),
+	async write(rows) {
+		await handleRequest(
+			'POST',
+			`/api/datastores/v1/collections/${this.collectionId}/documents/bulk`,
+			rows.map((row) => ({ content: row }))
+		);
+	}
 
-		transferCards(userId, newOwnerId, objectsByType['CARD'] || []),
+	async read(column, value) {
+		const documents = await handleRequest(
+			'POST',
+			`/api/datastores/v1/collections/${this.collectionId}/documents/query`,
+			{ [`content.${column}`]: value }
+		);
+		return (documents || []).map((document) => document.content);
+	}
+}
 
-		transferAlerts(userId, newOwnerId, objectsByType['ALERT'] || []),
+/**
+ * Keeps log rows in memory, for tests and for callers that only need the rows of the current execution
+ */
+class MemoryLogSink {
+	constructor() {
+		this.rows = [];
+	}
+
+	async write(rows) {
+		this.rows.push(...rows);
+	}
+
+	async read(column, value) {
+		return this.rows.filter((row) => row[column] == value);
+	}
+}
+
+function createLogSink(config) {
+	switch (config.type) {
+		case 'dataset':
+			return new DatasetLogSink(
+				config.datasetId,
+				config.partSize,
+				config.commitIntervalMs
+			);
+		case 'appdb':
+			return new AppDbLogSink(config.collectionId);
+		case 'memory':
+			return new MemoryLogSink();
+		default:
+			throw new Error(`Unknown log sink type: ${config.type}`);
+	}
+}
+
+const logSinks = logSinkConfig.map(createLogSink);
+
+/**
+ * Write out anything the log sinks are holding. Called when a run finishes, including when it fails.
+ */
+async function flushLogSinks() {
+	for (const sink of logSinks) {
+		if (sink.flush) {
+			try {
+				await sink.flush();
+			} catch (error) {
+				console.error('Logging failed:', error);
+			}
+		}
+	}
+}
+
+let executingUserId;
+
+async function getExecutingUserId() {
+	if (executingUserId === undefined) {
+		try {
+			const session = await handleRequest(
+				'GET',
+				'api/identity/v1/authentication/session'
+			);
+			executingUserId = session.userId || null;
+		} catch (error) {
+			console.error('Failed to get the executing user:', error.message);
+			executingUserId = null;
+		}
+	}
+	return executingUserId;
+}
 
-		transferWorkflows(
+//---------------------------TRANSFER-----------------------//
+
+/**
+ * Transfer all content owned by a user to a new owner
+ *
+ * @param {number} userId - The ID of the user being offboarded
+ * @param {number} [newOwnerId] - The ID of the user receiving the content, and the default owner when ownerRoutes are given. When
+ * not given, the user's nearest active manager is used (see resolveNewOwner).
+ * @param {Object[]} [objectsToTransfer=[]] - Specific objects as { id, type } to transfer instead of discovering them
+ * @param {boolean} [dryRun=false] - Only discover content and return what would be transferred, without changing anything
+ * @param {Object[]|Object} [ownerRoutes=[]] - Different new owners by object type, as [{ type, newOwnerId }] or { TYPE: newOwnerId }
+ * @param {boolean} [copySharedAccess=false] - Also give the new owner the access the user had to objects they did not own (see shareModules)
+ * @param {string} [coOwnerPolicy='REPLACE'] - How cards, pages, App Studio apps, groups, accounts and repositories are handed over (see coOwnerPolicies)
+ * @returns {Promise<Object>} A summary of the transfer (see summarizeResults) with the resolvedOwner when one was looked up, or
+ * when dryRun is true, the inventory of objects by type, along with the resolvedOwner when one was looked up
+ */
+async function transferContent(
+	userId,
+	newOwnerId = null,
+	objectsToTransfer = [],
+	dryRun = false,
+	ownerRoutes = [],
+	copySharedAccess = false,
+	coOwnerPolicy = 'REPLACE'
+) {
+	const routes = getOwnerRoutes(ownerRoutes);
+	const modules = getRunModules(copySharedAccess);
+	if (newOwnerId != null) {
+		const run = createRun(
 			userId,
 			newOwnerId,
-			objectsByType['WORKFLOW_MODEL'] || []
-		),
+			routes,
+			generateUUID(),
+			coOwnerPolicy
+		);
+		if (!dryRun) {
+			await logRunStart(run, copySharedAccess);
+		}
+		return await executeRun(run, objectsToTransfer, dryRun, modules);
+	}
+
+	const resolvedOwner = await resolveNewOwner(userId);
+	if (resolvedOwner.newOwnerId == null && !dryRun) {
+		throw new Error(resolvedOwner.reason);
+	}
+	const run = createRun(
+		userId,
+		resolvedOwner.newOwnerId,
+		routes,
+		generateUUID(),
+		coOwnerPolicy
+	);
+	if (dryRun) {
+		return {
+			...(await executeRun(run, objectsToTransfer, dryRun, modules)),
+			resolvedOwner
+		};
+	}
+
+	// Record who was chosen and why before anything moves
+	await logRunStart(run, copySharedAccess);
+	await logTransfers(
+		userId,
+		resolvedOwner.newOwnerId,
+		'USER',
+		[userId],
+		'OWNER_RESOLVED',
+		resolvedOwner.reason,
+		run.runId
+	);
+	return {
+		...(await executeRun(run, objectsToTransfer, false, modules)),
+		resolvedOwner
+	};
+}
+
+function getRunModules(copySharedAccess) {
+	return copySharedAccess
+		? [...transferModules, ...shareModules]
+		: transferModules;
+}
+
+/**
+ * Log a RUN row with the settings a run started with, so it can be resumed or reversed with the same ones
+ *
+ * @param {Object} run - The run from createRun
+ * @param {boolean} copySharedAccess - Whether the run also copies shared access
+ */
+async function logRunStart(run, copySharedAccess) {
+	const { ownerRoutes, coOwnerPolicy } = run;
+	await logTransfers(
+		run.userId,
+		run.newOwnerId,
+		'RUN',
+		[run.runId],
+		'STARTED',
+		JSON.stringify({ ownerRoutes, coOwnerPolicy, copySharedAccess }),
+		run.runId
+	);
+	// Commit it straight away, since resumeRun cannot pick up a run without it
+	await flushLogSinks();
+}
+
+function isRunStart(row) {
+	return row.type === 'RUN' && row.status === 'STARTED';
+}
+
+/**
+ * Pick up a run that stopped partway through, such as after a timeout. The user, new owners and settings are read
+ * from the run's RUN row, and objects the run already transferred are skipped.
+ *
+ * @param {string} runId - The run ID returned by transferContent
+ * @param {Object[]} [objectsToTransfer=[]] - The same specific objects the original run was given, if any
+ * @returns {Promise<Object>} A summary of the resumed transfer (see summarizeResults)
+ */
+async function resumeRun(runId, objectsToTransfer = []) {
+	const rows = await readLogRows('runId', runId);
+	const start = rows.find(isRunStart);
+	if (!start) {
+		throw new Error(`No RUN row found for run ${runId}`);
+	}
+
+	// Log rows come back with numbers as strings
+	const settings = JSON.parse(start.notes);
+	const run = createRun(
+		parseInt(start.userId),
+		parseInt(start.newOwnerId),
+		settings.ownerRoutes,
+		runId,
+		settings.coOwnerPolicy
+	);
+	for (const row of rows) {
+		if (row.status === 'TRANSFERRED' || row.status === 'SHARED') {
+			run.completed.add(`${row.type}:${row.id}`);
+		}
+	}
+
+	return await executeRun(
+		run,
+		objectsToTransfer,
+		false,
+		getRunModules(settings.copySharedAccess)
+	);
+}
+
+/**
+ * Send objects back to their previous owner, using the log rows of an earlier transfer. Call it with a run ID, or with
+ * the previous owner, the new owner and the date the transfer started.
+ *
+ * @param {string|number} runIdOrUserId - The run to reverse, or the ID of the previous owner
+ * @param {number} [newOwnerId] - The ID of the user the objects were transferred to
+ * @param {string} [since] - Only reverse transfers logged on or after this date
+ * @returns {Promise<Object>} A summary of the reversal (see summarizeResults) and the objects that could not be reversed as { id, type, reason }
+ */
+async function reverseTransfer(runIdOrUserId, newOwnerId = null, since = null) {
+	let rows;
+	if (newOwnerId == null) {
+		rows = await readLogRows('runId', runIdOrUserId);
+	} else {
+		const sinceDate = since ? new Date(since) : null;
+		rows = (await readLogRows('userId', runIdOrUserId)).filter(
+			(row) =>
+				row.newOwnerId == newOwnerId &&
+				(!sinceDate || new Date(row.date) >= sinceDate)
+		);
+	}
+	if (rows.length === 0) {
+		throw new Error(`No log rows found to reverse for ${runIdOrUserId}`);
+	}
+
+	// Log rows come back with numbers as strings
+	const previousOwnerId = parseInt(rows[0].userId);
+	const previousOwnerExists = await userExists(previousOwnerId);
+
+	// Newest first, so an object transferred again or deleted later is judged by what happened to it last
+	rows.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+	// Objects go back under the co-owner policy they were transferred with
+	const start = rows.find(isRunStart);
+	const coOwnerPolicy = start
+		? JSON.parse(start.notes).coOwnerPolicy
+		: 'REPLACE';
+
+	const idsByOwner = {};
+	const irreversible = [];
+	const reversedRunIds = new Set();
+	const seen = new Set();
+	for (const row of rows) {
+		const key = `${row.type}:${row.id}`;
+		if (
+			seen.has(key) ||
+			!['TRANSFERRED', 'SHARED', 'DELETED', 'ARCHIVED'].includes(row.status)
+		) {
+			continue;
+		}
+		seen.add(key);
+
+		if (row.status === 'SHARED') {
+			irreversible.push({
+				id: row.id,
+				type: row.type,
+				reason: 'Shared access was copied, not transferred'
+			});
+		} else if (row.status === 'DELETED' || row.status === 'ARCHIVED') {
+			irreversible.push({
+				id: row.id,
+				type: row.type,
+				reason: `The object was ${row.status.toLowerCase()}`
+			});
+		} else if (!previousOwnerExists) {
+			irreversible.push({
+				id: row.id,
+				type: row.type,
+				reason: `The previous owner ${previousOwnerId} no longer exists`
+			});
+		} else if (!getTransferModule(row.type)) {
+			irreversible.push({
+				id: row.id,
+				type: row.type,
+				reason: 'The object type is not supported'
+			});
+		} else {
+			// Routed transfers went to several owners, so each one is reversed separately
+			if (!idsByOwner[row.newOwnerId]) {
+				idsByOwner[row.newOwnerId] = {};
+			}
+			const idsByType = idsByOwner[row.newOwnerId];
+			if (!idsByType[row.type]) {
+				idsByType[row.type] = [];
+			}
+			idsByType[row.type].push(row.id);
+			reversedRunIds.add(row.runId);
+		}
+	}
+
+	// Only the logged IDs go back, so types without any are not discovered
+	const startTime = Date.now();
+	const runId = generateUUID();
+	const results = [];
+	try {
+		for (const [currentOwnerId, idsByType] of Object.entries(idsByOwner)) {
+			const run = createRun(
+				parseInt(currentOwnerId),
+				previousOwnerId,
+				{},
+				runId,
+				coOwnerPolicy
+			);
+			const runs = await runInOrder(transferModules, (module) => {
+				const filteredIds = [];
+				for (const type of getModuleTypes(module)) {
+					filteredIds.push(...(idsByType[type] || []));
+				}
+				return filteredIds.length > 0
+					? runModule(module, run, filteredIds)
+					: [];
+			});
+			for (const items of runs) {
+				results.push(...items);
+			}
+		}
+
+		// The previous owner is no longer treated as being offboarded (see resolveNewOwner)
+		await logRows(
+			[...reversedRunIds].map((id) => ({
+				userId: previousOwnerId,
+				type: 'RUN',
+				id,
+				status: 'REVERSED',
+				runId
+			}))
+		);
+	} finally {
+		await flushLogSinks();
+	}
+
+	return {
+		runId,
+		...summarizeResults(results, Date.now() - startTime),
+		irreversible
+	};
+}
+
+async function userExists(userId) {
+	try {
+		await handleRequest('GET', `/api/content/v3/users/${userId}`);
+		return true;
+	} catch (error) {
+		if (error instanceof RequestError && error.status === 404) {
+			return false;
+		}
+		throw error;
+	}
+}
+
+/**
+ * List everything a user owns, without transferring anything, so it can be reviewed ahead of a departure. Every
+ * object type's discovery is reused, so objects the user is only assigned to are included with their relationship.
+ * A type whose discovery fails gets a single entry with a null ID and the error, so a partial list is never mistaken
+ * for a complete one.
+ *
+ * @param {number} userId - The ID of the user
+ * @param {string} [datasetId] - A DataSet to append the list to, with columns userId, type, id, name, lastModified,
+ * relationship, error
+ * @param {boolean} [asCsv=false] - Return the list as CSV text with a header row instead of an array
+ * @returns {Promise<Object[]|string>} Objects as { type, id, name, lastModified, relationship, error }, or CSV text when
+ * asCsv is true
+ */
+async function getOwnedObjects(userId, datasetId = null, asCsv = false) {
+	const discoveries = await Promise.all(
+		transferModules.map(async (module) => {
+			try {
+				const items = await module.discover(userId);
+				return items.map((item) => {
+					const type = item.type || module.type;
+					return {
+						type,
+						id: item.id,
+						name: item.name == null ? null : item.name,
+						lastModified: toIsoDate(item.lastModified),
+						relationship: getRelationship(item, type),
+						error: null
+					};
+				});
+			} catch (error) {
+				console.error(`Failed to list ${module.type} objects:`, error.message);
+				return [
+					{
+						type: module.type,
+						id: null,
+						name: null,
+						lastModified: null,
+						relationship: null,
+						error: error.message
+					}
+				];
+			}
+		})
+	);
+
+	const objects = [];
+	for (const items of discoveries) {
+		objects.push(...items);
+	}
+
+	const rows = objects.map((object) => [
+		userId,
+		object.type,
+		object.id,
+		object.name,
+		object.lastModified,
+		object.relationship,
+		object.error
+	]);
+	if (datasetId && rows.length > 0) {
+		await appendToDataset(rows, datasetId);
+	}
+	if (asCsv) {
+		return encodeCsv([
+			['userId', 'type', 'id', 'name', 'lastModified', 'relationship', 'error'],
+			...rows
+		]);
+	}
+	return objects;
+}
+
+// Watchers and approvers are discovered so their work can be handed over, but the objects are not theirs
+function getRelationship(item, type) {
+	if (type === 'HOPPER_TASK_WATCHER') {
+		return 'WATCHER';
+	}
+	if (type === 'GOAL_KEY_RESULT') {
+		return 'KEY_RESULT_OWNER';
+	}
+	if (
+		type === 'TEMPLATE_APPROVER' ||
+		(type === 'APPROVAL' && !item.roles.includes('SUBMITTER'))
+	) {
+		return 'APPROVER';
+	}
+	return 'OWNER';
+}
+
+// Discovery responses give dates as epoch milliseconds or date strings
+function toIsoDate(value) {
+	if (value == null || value === '') {
+		return null;
+	}
+	const date = new Date(
+		typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value) : value
+	);
+	return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Generates a Universally Unique Identifier (UUID)
+ *
+ * @returns {string} uuid
+ */
+function generateUUID() {
+	return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+		var r = (Math.random() * 16) | 0,
+			v = c == 'x' ? r : (r & 0x3) | 0x8;
+		return v.toString(16);
+	});
+}
+
+/**
+ * Create the state shared by every transfer in one run
+ *
+ * @param {number} userId - The ID of the user being offboarded
+ * @param {number} newOwnerId - The ID of the user receiving the content, unless ownerRoutes names another for its type
+ * @param {Object} [ownerRoutes={}] - New owner IDs keyed by object type
+ * @param {string} [runId] - An existing run ID to continue, a new one is generated by default
+ * @param {string} [coOwnerPolicy='REPLACE'] - How objects with several owners are handed over, one of coOwnerPolicies
+ * @returns {Object} The run as { runId, userId, newOwnerId, ownerRoutes, coOwnerPolicy, completed, requestedIds }, where completed
+ * holds "type:id" keys to skip and requestedIds holds the IDs passed in for each type
+ */
+function createRun(
+	userId,
+	newOwnerId,
+	ownerRoutes = {},
+	runId = generateUUID(),
+	coOwnerPolicy = 'REPLACE'
+) {
+	if (!coOwnerPolicies.includes(coOwnerPolicy)) {
+		throw new Error(`Unknown coOwnerPolicy: ${coOwnerPolicy}`);
+	}
+	return {
+		runId,
+		userId,
+		newOwnerId,
+		ownerRoutes,
+		coOwnerPolicy,
+		completed: new Set(),
+		requestedIds: {}
+	};
+}
+
+/**
+ * Build the new owner map from either the workflow's list of routes or an object keyed by type
+ *
+ * @param {Object[]|Object} ownerRoutes - Routes as [{ type, newOwnerId }] or { TYPE: newOwnerId }
+ * @returns {Object} New owner IDs keyed by object type
+ */
+function getOwnerRoutes(ownerRoutes) {
+	const routes = {};
+	const entries = Array.isArray(ownerRoutes)
+		? ownerRoutes.map((route) => [route.type, route.newOwnerId])
+		: Object.entries(ownerRoutes || {});
+
+	for (const [type, newOwnerId] of entries) {
+		if (!getTransferModule(type)) {
+			throw new Error(`Unknown object type in ownerRoutes: ${type}`);
+		}
+		routes[type] = newOwnerId;
+	}
+	return routes;
+}
+
+function getNewOwnerId(run, type) {
+	// A subtype without a route of its own follows the route of its module's type
+	const module = getTransferModule(type);
+	return (
+		run.ownerRoutes[type] ||
+		(module && run.ownerRoutes[module.type]) ||
+		run.newOwnerId
+	);
+}
+
+function getRequestedType(run, module, id) {
+	return (
+		(module.subtypes || []).find((type) =>
+			(run.requestedIds[type] || []).includes(id)
+		) || module.type
+	);
+}
+
+async function executeRun(
+	run,
+	objectsToTransfer = [],
+	dryRun = false,
+	modules = transferModules
+) {
+	// Write out the log even when the run fails partway through
+	try {
+		const startTime = Date.now();
+
+		// Parse objects by type if specific objects are provided
+		const objectsByType = {};
+		if (objectsToTransfer.length > 0) {
+			for (const obj of objectsToTransfer) {
+				if (!objectsByType[obj.type]) {
+					objectsByType[obj.type] = [];
+				}
+				objectsByType[obj.type].push(obj.id);
+			}
+		}
+		run.requestedIds = objectsByType;
+
+		const runs = await runInOrder(modules, async (module) => {
+			const filteredIds = [];
+			for (const type of getModuleTypes(module)) {
+				filteredIds.push(...(objectsByType[type] || []));
+			}
+
+			// Nothing to discover, so a dry run just echoes the requested objects
+			if (dryRun && filteredIds.length > 0) {
+				const requested = [];
+				for (const type of getModuleTypes(module)) {
+					for (const id of objectsByType[type] || []) {
+						requested.push({ id, name: null, type });
+					}
+				}
+				return requested;
+			}
+
+			if (dryRun) {
+				return await runTransfer(module, run, filteredIds, true);
+			}
+
+			return await runModule(module, run, filteredIds);
+		});
+
+		if (dryRun) {
+			const inventory = {};
+			for (const items of runs) {
+				for (const item of items) {
+					if (!inventory[item.type]) {
+						inventory[item.type] = [];
+					}
+					inventory[item.type].push({ id: item.id, name: item.name });
+				}
+			}
+			return inventory;
+		}
+
+		const results = [];
+		for (const items of runs) {
+			results.push(...items);
+		}
+		return {
+			runId: run.runId,
+			...summarizeResults(results, Date.now() - startTime)
+		};
+	} finally {
+		await flushLogSinks();
+	}
+}
+
+/**
+ * Run every module side by side, holding back the ones marked afterOthers until the rest have finished
+ *
+ * @param {Object[]} modules - The transfer modules
+ * @param {Function} runOne - Called with each module, returns its results
+ * @returns {Promise<Object[][]>} The results of each module
+ */
+async function runInOrder(modules, runOne) {
+	const first = await Promise.all(
+		modules.filter((module) => !module.afterOthers).map(runOne)
+	);
+	const last = await Promise.all(
+		modules.filter((module) => module.afterOthers).map(runOne)
+	);
+	return [...first, ...last];
+}
+
+async function runModule(module, run, filteredIds = []) {
+	// One object type failing should not stop the others
+	try {
+		return await runTransfer(module, run, filteredIds);
+	} catch (error) {
+		const failed = [errorResult(null, module.type, error)];
+		await logResults(run, failed);
+		return failed;
+	}
+}
+
+/**
+ * Summarize per-object transfer results
+ *
+ * @param {Object[]} results - Results as { id, type, status, notes }
+ * @param {number} elapsedMs - How long the transfer took
+ * @returns {Object} Counts by type and status, the transferred, shared, skipped and failed objects, and the elapsed time
+ */
+function summarizeResults(results, elapsedMs) {
+	const summary = {
+		counts: {},
+		transferred: [],
+		shared: [],
+		skipped: [],
+		failed: [],
+		elapsedMs
+	};
+
+	for (const result of results) {
+		if (!summary.counts[result.type]) {
+			summary.counts[result.type] = {};
+		}
+		const counts = summary.counts[result.type];
+		counts[result.status] = (counts[result.status] || 0) + 1;
+
+		if (result.status === 'TRANSFERRED') {
+			summary.transferred.push({ id: result.id, type: result.type });
+		} else if (result.status === 'SHARED') {
+			summary.shared.push({ id: result.id, type: result.type });
+		} else if (result.status === 'FAILED') {
+			summary.failed.push({
+				id: result.id,
+				type: result.type,
+				error: result.error || result.notes || null
+			});
+		} else {
+			summary.skipped.push({
+				id: result.id,
+				type: result.type,
+				status: result.status,
+				notes: result.notes || null
+			});
+		}
+	}
+
+	return summary;
+}
+
+// Every object type transferContent handles. Each module discovers what a user owns and applies the transfer to
+// a list of IDs, returning a result per object. Modules with subtypes report each object's own type. Modules marked
+// afterOthers depend on the ownership the rest hand over, so they wait for them to finish.
+const transferModules = [
+	{ type: 'DATA_SOURCE', discover: discoverDatasets, apply: applyDatasets },
+	{ type: 'DATAFLOW_TYPE', discover: discoverDataflows, apply: applyDataflows },
+	{ type: 'CARD', discover: discoverCards, apply: applyCards },
+	{ type: 'ALERT', discover: discoverAlerts, apply: applyAlerts },
+	{
+		type: 'WORKFLOW_MODEL',
+		discover: discoverWorkflows,
+		apply: applyWorkflows
+	},
+	{
+		type: 'HOPPER_QUEUE',
+		discover: discoverTaskCenterQueues,
+		apply: applyTaskCenterQueues
+	},
+	{
+		type: 'HOPPER_TASK',
+		subtypes: ['HOPPER_TASK_WATCHER'],
+		discover: discoverTaskCenterTasks,
+		apply: applyTaskCenterTasks
+	},
+	{
+		type: 'DATA_APP',
+		discover: discoverAppStudioApps,
+		apply: applyAppStudioApps
+	},
+	{ type: 'PAGE', discover: discoverPages, apply: applyPages },
+	{
+		type: 'REPORT_SCHEDULE',
+		discover: discoverScheduledReports,
+		apply: applyScheduledReports
+	},
+	{
+		type: 'GOAL',
+		subtypes: ['GOAL_KEY_RESULT'],
+		discover: discoverGoals,
+		apply: applyGoals
+	},
+	{ type: 'GROUP', discover: discoverGroups, apply: applyGroups },
+	{
+		type: 'COLLECTION',
+		discover: discoverAppDbCollections,
+		apply: applyAppDbCollections
+	},
+	{
+		type: 'BEAST_MODE_FORMULA',
+		subtypes: ['VARIABLE'],
+		discover: discoverFunctions,
+		apply: applyFunctions
+	},
+	{ type: 'ACCOUNT', discover: discoverAccounts, apply: applyAccounts },
+	{
+		type: 'DATA_SCIENCE_NOTEBOOK',
+		discover: discoverJupyterWorkspaces,
+		apply: applyJupyterWorkspaces
+	},
+	{
+		type: 'CODEENGINE_PACKAGE',
+		discover: discoverCodeEnginePackages,
+		apply: applyCodeEnginePackages
+	},
+	{ type: 'FILESET', discover: discoverFilesets, apply: applyFilesets },
+	{
+		type: 'PUBLICATION',
+		discover: discoverPublications,
+		apply: applyPublications,
+		afterOthers: true
+	},
+	{
+		type: 'SUBSCRIPTION',
+		discover: discoverSubscriptions,
+		apply: applySubscriptions
+	},
+	{
+		type: 'REPOSITORY',
+		discover: discoverRepositories,
+		apply: applyRepositories
+	},
+	{
+		type: 'APPROVAL',
+		discover: discoverApprovals,
+		apply: applyApprovals
+	},
+	{
+		type: 'TEMPLATE',
+		subtypes: ['TEMPLATE_APPROVER'],
+		discover: discoverApprovalTemplates,
+		apply: applyApprovalTemplates
+	},
+	{
+		type: 'APP',
+		subtypes: ['RYUU_APP'],
+		discover: discoverCustomApps,
+		apply: applyCustomApps
+	},
+	{ type: 'AI_MODEL', discover: discoverAiModels, apply: applyAiModels },
+	{ type: 'AI_PROJECT', discover: discoverAiProjects, apply: applyAiProjects },
+	{
+		type: 'PROJECT',
+		subtypes: ['PROJECT_TASK'],
+		discover: discoverProjectsAndTasks,
+		apply: applyProjectsAndTasks
+	},
+	{ type: 'METRIC', discover: discoverMetrics, apply: applyMetrics }
+];
+
+function getModuleTypes(module) {
+	return [module.type, ...(module.subtypes || [])];
+}
+
+function getTransferModule(type) {
+	return transferModules.find((module) =>
+		getModuleTypes(module).includes(type)
+	);
+}
+
+/**
+ * Discover and transfer one object type, then log the results
+ *
+ * @param {Object} module - The transfer module from transferModules
+ * @param {Object} run - The run from createRun
+ * @param {string[]} [filteredIds=[]] - Specific object IDs to transfer instead of discovering them
+ * @param {boolean} [dryRun=false] - Only discover, without changing or logging anything
+ * @returns {Promise<Object[]>} The discovered objects as { id, name, type } when dryRun is true, otherwise a result per object
+ */
+async function runTransfer(module, run, filteredIds = [], dryRun = false) {
+	let ids = filteredIds;
+	const discovered = {};
+
+	if (filteredIds.length === 0) {
+		const items = await module.discover(run.userId);
+		for (const item of items) {
+			discovered[item.id] = item;
+		}
+		ids = items.map((item) => item.id);
+
+		if (dryRun) {
+			return items.map((item) => ({
+				id: item.id,
+				name: item.name == null ? null : item.name,
+				type: item.type || module.type
+			}));
+		}
+	}
+
+	// Skip anything an earlier attempt at this run already transferred
+	if (run.completed.size > 0) {
+		const types = getModuleTypes(module);
+		ids = ids.filter(
+			(id) => !types.some((type) => run.completed.has(`${type}:${id}`))
+		);
+	}
+
+	if (ids.length === 0) {
+		return [];
+	}
+
+	// Subtypes can be routed apart from their module, by the type they were discovered or passed in as
+	const idsByOwner = new Map();
+	for (const id of ids) {
+		const type =
+			(discovered[id] && discovered[id].type) ||
+			getRequestedType(run, module, id);
+		const newOwnerId = getNewOwnerId(run, type);
+		if (!idsByOwner.has(newOwnerId)) {
+			idsByOwner.set(newOwnerId, []);
+		}
+		idsByOwner.get(newOwnerId).push(id);
+	}
+
+	const results = [];
+	for (const [newOwnerId, ownerIds] of idsByOwner) {
+		const ownerResults = await module.apply(
+			ownerIds,
+			run.userId,
+			newOwnerId,
+			discovered,
+			run.coOwnerPolicy
+		);
+		for (const result of ownerResults) {
+			const item = discovered[result.id] || {};
+			results.push({
+				name: item.name == null ? null : item.name,
+				parent: item.parent || null,
+				...result,
+				type: result.type || module.type,
+				newOwnerId
+			});
+		}
+	}
+	await logResults(run, results);
+
+	return results;
+}
+
+/**
+ * Transfer one object type on its own, outside transferContent, and write out its log rows
+ *
+ * @param {Object} module - The transfer module from transferModules
+ * @param {Object} run - The run from createRun
+ * @param {string[]} [filteredIds=[]] - Specific object IDs to transfer instead of discovering them
+ * @returns {Promise<Object[]>} A result per object
+ */
+async function runSingleTransfer(module, run, filteredIds = []) {
+	try {
+		return await runTransfer(module, run, filteredIds);
+	} finally {
+		await flushLogSinks();
+	}
+}
+
+/**
+ * Log a row per transfer result
+ *
+ * @param {Object} run - The run from createRun
+ * @param {Object[]} results - Results as { id, type, status, notes, newOwnerId, name, parent, attempts, error }
+ */
+async function logResults(run, results) {
+	await logRows(
+		results.map((result) => ({
+			userId: run.userId,
+			newOwnerId: result.newOwnerId || getNewOwnerId(run, result.type),
+			type: result.type,
+			id: result.id,
+			status: result.status,
+			notes: result.notes,
+			runId: run.runId,
+			name: result.name,
+			parentType: result.parent ? result.parent.type : null,
+			parentId: result.parent ? result.parent.id : null,
+			attempts: result.attempts,
+			error: result.error
+		}))
+	);
+}
+
+/**
+ * Read log rows matching a column value from the first log sink
+ *
+ * @param {string} column - The column to filter on, such as runId or userId
+ * @param {string} value - The value to match
+ * @returns {Promise<Object[]>} Rows keyed by the names in logColumns
+ */
+async function readLogRows(column, value) {
+	if (logSinks.length === 0) {
+		throw new Error('No log sink is configured to read log rows from');
+	}
+	return await logSinks[0].read(column, value);
+}
+
+/**
+ * Query DataSet rows matching a column value
+ *
+ * @param {string} datasetId - The DataSet ID
+ * @param {string[]} columns - The columns to return
+ * @param {string} column - The column to filter on
+ * @param {string} value - The value to match
+ * @returns {Promise<Object[]>} Rows keyed by column name
+ */
+async function queryDatasetRows(datasetId, columns, column, value) {
+	const url = `api/query/v1/execute/${datasetId}`;
+	const rows = [];
+	const limit = 10000;
+	let offset = 0;
+	let moreData = true;
+
+	while (moreData) {
+		const body = {
+			querySource: 'data_table',
+			useCache: false,
+			query: {
+				columns: columns.map((column) => ({ exprType: 'COLUMN', column })),
+				limit: {
+					limit: limit,
+					offset: offset
+				},
+				orderByColumns: [],
+				groupByColumns: [],
+				where: {
+					not: false,
+					exprType: 'IN',
+					leftExpr: {
+						exprType: 'COLUMN',
+						column: column
+					},
+					selectSet: [
+						{
+							exprType: 'STRING_VALUE',
+							value: value.toString()
+						}
+					]
+				},
+				having: null
+			},
+			context: {
+				calendar: 'StandardCalendar',
+				features: {
+					PerformTimeZoneConversion: true,
+					AllowNullValues: true,
+					TreatNumbersAsStrings: true
+				}
+			},
+			viewTemplate: null,
+			tableAliases: null
+		};
+
+		const response = await handleRequest('POST', url, body);
+		const page = response.rows || [];
+		for (const row of page) {
+			const entry = {};
+			columns.forEach((column, index) => {
+				entry[column] = row[index];
+			});
+			rows.push(entry);
+		}
+
+		offset += limit;
+		moreData = page.length === limit;
+	}
+
+	return rows;
+}
+
+//-------------------------DataSets--------------------------//
+
+/**
+ * Get DataSets owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} DataSets as { id, name, lastModified }
+ */
+async function discoverDatasets(userId) {
+	const endpoint = '/api/data/ui/v3/datasources/ownedBy';
+	const data = [
+		{
+			id: userId.toString(),
+			type: 'USER'
+		}
+	];
+
+	let ids = [];
+	const response = await handleRequest('POST', endpoint, data);
+	if (response && response.length > 0) {
+		if (response[0].dataSourceIds && response[0].dataSourceIds.length > 0) {
+			ids = response[0].dataSourceIds;
+		}
+	}
+
+	// ownedBy only returns IDs, so look up names in batches
+	const datasets = [];
+	const batchSize = 50;
+	for (let i = 0; i < ids.length; i += batchSize) {
+		const chunk = ids.slice(i, i + batchSize);
+		const bulkResponse = await handleRequest(
+			'POST',
+			'/api/data/v3/datasources/bulk?includePrivate=true',
+			chunk
+		);
+		const dataSources = (bulkResponse && bulkResponse.dataSources) || [];
+		for (const id of chunk) {
+			const dataSource = dataSources.find((ds) => ds.id === id);
+			datasets.push({
+				id,
+				name: dataSource ? dataSource.name : null,
+				lastModified: dataSource ? dataSource.lastUpdated : null
+			});
+		}
+	}
+
+	return datasets;
+}
+
+async function applyDatasets(ids, userId, newOwnerId) {
+	const userName = await getUserName(userId);
+	const results = [];
+
+	// Process datasets in batches
+	const batchSize = 50;
+	for (let i = 0; i < ids.length; i += batchSize) {
+		const chunk = ids.slice(i, i + batchSize);
+		// Update owner
+		const body = {
+			type: 'DATA_SOURCE',
+			ids: chunk,
+			userId: newOwnerId
+		};
+		const chunkResults = await transferBatch(chunk, 'DATA_SOURCE', () =>
+			handleRequest('POST', '/api/data/v1/ui/bulk/reassign', body)
+		);
+		results.push(...chunkResults);
+
+		// Add new tags to the datasets that moved, a failed tag does not undo the transfer
+		const transferred = chunkResults
+			.filter((result) => result.status === 'TRANSFERRED')
+			.map((result) => result.id);
+		if (transferred.length > 0) {
+			const tagsBody = {
+				bulkItems: {
+					ids: transferred,
+					type: 'DATA_SOURCE'
+				},
+				tags: [`From ${userName}`]
+			};
+			try {
+				await handleRequest('POST', '/api/data/v1/ui/bulk/tag', tagsBody);
+			} catch (error) {
+				console.error('Failed to tag DataSets:', error.message);
+			}
+		}
+	}
+
+	return results;
+}
+
+async function transferDatasets(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('DATA_SOURCE'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
+
+//----------------------------DataFlows-----------------------//
+
+/**
+ * Get DataFlows owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} DataFlows as { id, name, lastModified }
+ */
+async function discoverDataflows(userId) {
+	const dataflows = [];
+	const count = 100;
+	let offset = 0;
+	let moreData = true;
+
+	while (moreData) {
+		const data = {
+			entities: ['DATAFLOW'],
+			filters: [
+				{
+					field: 'owned_by_id',
+					filterType: 'term',
+					value: userId
+				}
+			],
+			query: '*',
+			count: count,
+			offset: offset
+		};
+
+		const response = await handleRequest('POST', '/api/search/v1/query', data);
+
+		if (response.searchObjects && response.searchObjects.length > 0) {
+			// Extract ids and append to list
+			const items = response.searchObjects.map((dataflow) => ({
+				id: dataflow.databaseId,
+				name: dataflow.name,
+				lastModified: dataflow.lastModified
+			}));
+			dataflows.push(...items);
+
+			// Increment offset to get next page
+			offset += count;
+
+			// If less than pageSize returned, this is the last page
+			if (response.searchObjects.length < count) {
+				moreData = false;
+			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
+		}
+	}
+
+	return dataflows;
+}
+
+async function applyDataflows(ids, userId, newOwnerId) {
+	const userName = await getUserName(userId);
+	const url = '/api/dataprocessing/v1/dataflows/bulk/patch';
+
+	// Update owner
+	const body = {
+		dataFlowIds: ids,
+		responsibleUserId: newOwnerId
+	};
+	const results = await transferBatch(ids, 'DATAFLOW_TYPE', () =>
+		handleRequest('PUT', url, body)
+	);
+	if (results.some((result) => result.status === 'FAILED')) {
+		return results;
+	}
+
+	// Add new tags in batches of 50, a failed tag does not undo the transfer
+	for (let i = 0; i < ids.length; i += 50) {
+		const chunk = ids.slice(i, i + 50);
+		const addTagsBody = {
+			dataFlowIds: chunk,
+			tagNames: [`From ${userName}`]
+		};
+		try {
+			await handleRequest(
+				'PUT',
+				'/api/dataprocessing/v1/dataflows/bulk/tag',
+				addTagsBody
+			);
+		} catch (error) {
+			console.error('Failed to tag DataFlows:', error.message);
+		}
+	}
+
+	return results;
+}
+
+async function transferDataflows(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('DATAFLOW_TYPE'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
+
+//----------------------Cards-------------------------//
+
+/**
+ * Get cards owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Cards as { id, name, lastModified, parent }, where parent is the page the card is on
+ */
+async function discoverCards(userId) {
+	const url = '/api/search/v1/query';
+	const cards = [];
+	let offset = 0;
+	const count = 50;
+	let moreData = true;
+
+	while (moreData) {
+		const data = {
+			count: count,
+			offset: offset,
+			combineResults: false,
+			query: '*',
+			filters: [
+				{
+					name: 'OWNED_BY_ID',
+					field: 'owned_by_id',
+					facetType: 'user',
+					value: `${userId}:USER`,
+					filterType: 'term'
+				}
+			],
+			entityList: [['card']]
+		};
+
+		const response = await handleRequest('POST', url, data);
+
+		if (response.searchObjects && response.searchObjects.length > 0) {
+			const items = response.searchObjects.map((card) => ({
+				id: card.databaseId,
+				name: card.title || card.name,
+				lastModified: card.lastModified
+			}));
+			cards.push(...items);
+
+			// Increment offset to get next page
+			offset += count;
+
+			// If less than pageSize returned, this is the last page
+			if (response.searchObjects.length < count) {
+				moreData = false;
+			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
+		}
+	}
+
+	// The page a card appears on is its parent, or the first one when it is on several
+	const pagesById = await getCards(
+		cards.map((card) => card.id),
+		'adminAllPages'
+	);
+	for (const card of cards) {
+		const details = pagesById.get(card.id.toString());
+		const pages = (details && details.adminAllPages) || [];
+		if (pages.length > 0) {
+			card.parent = { type: 'PAGE', id: pages[0].pageId };
+		}
+	}
+
+	return cards;
+}
+
+async function applyCards(
+	ids,
+	userId,
+	newOwnerId,
+	discovered = {},
+	coOwnerPolicy = 'REPLACE'
+) {
+	let ownersById = new Map();
+	if (coOwnerPolicy === 'SKIP_IF_OTHER_OWNER_EXISTS') {
+		ownersById = await getCardOwners(ids);
+	}
+	const { ids: cardIds, skipped } = filterCoOwned(
+		ids,
+		'CARD',
+		userId,
+		coOwnerPolicy,
+		(id) => getUserOwnerIds(ownersById.get(id.toString()))
+	);
+
+	const body = {
+		cardIds,
+		cardOwners: [
+			{
+				id: newOwnerId,
+				type: 'USER'
+			}
+		],
+		note: '',
+		sendEmail: false
+	};
+
+	let results = [];
+	if (cardIds.length > 0) {
+		results = await transferBatch(cardIds, 'CARD', () =>
+			handleRequest('POST', '/api/content/v1/cards/owners/add', body)
+		);
+	}
+	results = await removePreviousOwner(results, coOwnerPolicy, (addedIds) =>
+		removeCardOwner(addedIds, userId)
+	);
+
+	return [
+		...results,
+		...(await removeFromCoOwned(skipped, (skippedIds) =>
+			removeCardOwner(skippedIds, userId)
+		))
+	];
+}
+
+async function removeCardOwner(cardIds, userId) {
+	const body = {
+		cardIds,
+		cardOwners: [
+			{
+				id: userId,
+				type: 'USER'
+			}
+		],
+		note: '',
+		sendEmail: false
+	};
+	await handleRequest('POST', '/api/content/v1/cards/owners/remove', body);
+}
+
+async function getCardOwners(ids) {
+	const ownersById = new Map();
+	for (const [id, card] of await getCards(ids, 'owners')) {
+		ownersById.set(id, card.owners || []);
+	}
+	return ownersById;
+}
+
+/**
+ * Get cards in batches, with the requested parts
+ *
+ * @param {Array<string|number>} ids - The card IDs
+ * @param {string} parts - The parts to include, such as 'owners' or 'adminAllPages'
+ * @returns {Promise<Map<string, Object>>} The cards that were returned, keyed by ID
+ */
+async function getCards(ids, parts) {
+	const cardsById = new Map();
+	const batchSize = 50;
+	for (let i = 0; i < ids.length; i += batchSize) {
+		const chunk = ids.slice(i, i + batchSize);
+		const cards = await handleRequest(
+			'GET',
+			`/api/content/v1/cards?urns=${chunk.join(',')}&parts=${parts}`
+		);
+		for (const card of cards || []) {
+			cardsById.set(card.id.toString(), card);
+		}
+	}
+	return cardsById;
+}
+
+async function transferCards(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('CARD'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
+
+// -----------------Alerts--------------------------//
+/**
+ * Get alerts a user is subscribed to
+ *
+ * @param {string} userId - The ID of the user to get alerts for.
+ * @returns {Promise<Object[]>} Alerts the user is subscribed to as { id, name }
+ */
+async function discoverAlerts(userId) {
+	const alerts = [];
+	let moreData = true;
+	let offset = 0;
+	const limit = 50;
+
+	while (moreData) {
+		const response = await handleRequest(
+			'GET',
+			`/api/social/v4/alerts?ownerId=${userId}&limit=${limit}&offset=${offset}`
+		);
+
+		if (response.length > 0) {
+			// Extract ids and append to list
+			const items = response.map((alert) => ({
+				id: alert.id,
+				name: alert.name
+			}));
+			alerts.push(...items);
+
+			// Increment offset to get next page
+			offset += limit;
+
+			// If less than pageSize returned, this is the last page
+			if (response.length < limit) {
+				moreData = false;
+			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
+		}
+	}
+
+	return alerts;
+}
+
+async function applyAlerts(ids, userId, newOwnerId) {
+	return await transferEach(ids, 'ALERT', async (id) => {
+		const body = {
+			id: id,
+			owner: newOwnerId
+		};
+		const url = `/api/social/v4/alerts/${id}`;
+		await handleRequest('PATCH', url, body);
+	});
+}
+
+async function transferAlerts(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('ALERT'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
+
+//---------------------------Workflows--------------------------------//
+/**
+ * Get Workflows owned by given user ID
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Workflows as { id, name, lastModified }
+ */
+async function discoverWorkflows(userId) {
+	const workflows = [];
+	const count = 100;
+	let offset = 0;
+	let moreData = true;
+
+	while (moreData) {
+		const data = {
+			query: '*',
+			entityList: [['workflow_model']],
+			count: count,
+			offset: offset,
+			filters: [
+				{
+					facetType: 'user',
+					filterType: 'term',
+					field: 'owned_by_id',
+					value: `${userId}:USER`
+				}
+			]
+		};
+
+		const response = await handleRequest('POST', '/api/search/v1/query', data);
+
+		if (response.searchObjects && response.searchObjects.length > 0) {
+			// Extract ids and append to list
+			const items = response.searchObjects.map((workflow) => ({
+				id: workflow.uuid,
+				name: workflow.name,
+				lastModified: workflow.lastModified
+			}));
+			workflows.push(...items);
+
+			// Increment offset to get next page
+			offset += count;
+
+			// If less than pageSize returned, this is the last page
+			if (response.searchObjects.length < count) {
+				moreData = false;
+			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
+		}
+	}
+
+	return workflows;
+}
+
+/**
+ * Transfer ownership of Workflows by updating the full workflow object
+ *
+ * @param {string[]} ids - The Workflow IDs.
+ * @param {string} userId - The ID of the current owner.
+ * @param {string} newOwnerId - The ID of the new owner.
+ */
+async function applyWorkflows(ids, userId, newOwnerId) {
+	// Process each workflow individually by fetching the full object and updating it
+	return await transferEach(ids, 'WORKFLOW_MODEL', async (workflowId) => {
+		// Get the full workflow object
+		const workflow = await handleRequest(
+			'GET',
+			`/api/workflow/v1/models/${workflowId}`
+		);
+		if (workflow.owner != userId) {
+			return notOwnerResult(workflowId, 'WORKFLOW_MODEL', workflow.owner);
+		}
 
-		transferTaskCenterQueues(
-			userId,
-			newOwnerId,
-			objectsByType['HOPPER_QUEUE'] || []
-		),
+		// Update the owner property
+		workflow.owner = newOwnerId.toString();
 
-		transferTaskCenterTasks(
-			userId,
-			newOwnerId,
-			objectsByType['HOPPER_TASK'] || []
-		),
+		// Save the workflow with the updated owner
+		await handleRequest(
+			'PUT',
+			`/api/workflow/v1/models/${workflowId}`,
+			workflow
+		);
+	});
+}
 
-		transferAppStudioApps(userId, newOwnerId, objectsByType['DATA_APP'] || []),
+/**
+ * Get Workflows owned by given user ID and transfer ownership by updating the full workflow object
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @param {string} newOwnerId - The ID of the new owner.
+ */
+async function transferWorkflows(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('WORKFLOW_MODEL'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
 
-		transferPages(userId, newOwnerId, objectsByType['PAGE'] || []),
+//--------------------------Task Center Queues--------------------------//
 
-		transferScheduledReports(
-			userId,
-			newOwnerId,
-			objectsByType['REPORT_SCHEDULE'] || []
-		),
+/**
+ * Get Task Center queues owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Queues as { id, name, lastModified }
+ */
+async function discoverTaskCenterQueues(userId) {
+	const queues = [];
+	const count = 100;
+	let offset = 0;
+	let moreData = true;
 
-		transferGoals(
-			userId,
-			newOwnerId,
-			currentPeriodId,
-			objectsByType['GOAL'] || []
-		),
+	while (moreData) {
+		const data = {
+			query: '*',
+			entityList: [['queue']],
+			count: count,
+			offset: offset,
+			filters: [
+				{
+					facetType: 'user',
+					filterType: 'term',
+					field: 'owned_by_id',
+					value: `${userId}:USER`
+				}
+			]
+		};
 
-		transferGroups(userId, newOwnerId, objectsByType['GROUP'] || []),
+		const response = await handleRequest('POST', '/api/search/v1/query', data);
 
-		transferAppDbCollections(
-			userId,
-			newOwnerId,
-			objectsByType['COLLECTION'] || []
-		),
+		if (response.searchObjects && response.searchObjects.length > 0) {
+			// Extract ids and append to list
+			const items = response.searchObjects.map((queue) => ({
+				id: queue.uuid,
+				name: queue.name,
+				lastModified: queue.lastModified
+			}));
+			queues.push(...items);
 
-		transferFunctions(userId, newOwnerId, [
-			...(objectsByType['BEAST_MODE_FORMULA'] || []),
-			...(objectsByType['VARIABLE'] || [])
-		]),
+			// Increment offset to get next page
+			offset += count;
 
-		transferAccounts(userId, newOwnerId, objectsByType['ACCOUNT'] || []),
+			// If less than pageSize returned, this is the last page
+			if (response.searchObjects.length < count) {
+				moreData = false;
+			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
+		}
+	}
 
-		transferJupyterWorkspaces(
-			userId,
-			newOwnerId,
-			objectsByType['DATA_SCIENCE_NOTEBOOK'] || []
-		),
+	return queues;
+}
 
-		transferCodeEnginePackages(
-			userId,
-			newOwnerId,
-			objectsByType['CODEENGINE_PACKAGE'] || []
-		),
+async function applyTaskCenterQueues(ids, userId, newOwnerId) {
+	return await transferEach(ids, 'HOPPER_QUEUE', async (id) => {
+		await handleRequest(
+			'PUT',
+			`/api/queues/v1/${id}/owner/${newOwnerId}`,
+			null,
+			{ 'Content-Type': 'application/json' }
+		);
+	});
+}
 
-		transferFilesets(userId, newOwnerId, objectsByType['FILESET'] || []),
+async function transferTaskCenterQueues(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('HOPPER_QUEUE'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
 
-		getPublications(userId, newOwnerId, objectsByType['PUBLICATION'] || []),
+//--------------------------Task Center Tasks--------------------------//
 
-		transferSubscriptions(
-			userId,
-			newOwnerId,
-			objectsByType['SUBSCRIPTION'] || []
-		),
+// Task statuses that are still being worked, completed and voided tasks stay with the user
+const activeTaskStatuses = ['OPEN', 'IN_PROGRESS', 'SNOOZED'];
 
-		transferRepositories(userId, newOwnerId, objectsByType['REPOSITORY'] || []),
+/**
+ * List active Task Center tasks matching a filter
+ *
+ * @param {Object} filter - The assignedTo or watchers filter
+ * @returns {Promise<Object[]>} The tasks
+ */
+async function listTaskCenterTasks(filter) {
+	const tasks = [];
+	let offset = 0;
+	const limit = 100;
+	let moreData = true;
+
+	while (moreData) {
+		const response = await handleRequest(
+			'POST',
+			`/api/queues/v1/tasks/list?limit=${limit}&offset=${offset}`,
+			{ ...filter, status: activeTaskStatuses }
+		);
 
-		...(objectsToTransfer.length === 0
-			? transferApprovals(userId, newOwnerId)
-			: []),
+		if (response && response.length > 0) {
+			tasks.push(...response);
 
-		...(objectsToTransfer.length === 0
-			? transferApprovalTemplates(userId, newOwnerId)
-			: []),
+			// Increment offset to get next page
+			offset += limit;
 
-		transferCustomApps(userId, newOwnerId, [
-			...(objectsByType['APP'] || []),
-			...(objectsByType['RYUU_APP'] || [])
-		]),
+			// If less than pageSize returned, this is the last page
+			if (response.length < limit) {
+				moreData = false;
+			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
+		}
+	}
 
-		transferAiModels(userId, newOwnerId, objectsByType['AI_MODEL'] || []),
+	return tasks;
+}
 
-		transferAiProjects(userId, newOwnerId, objectsByType['AI_PROJECT'] || []),
+function toTaskItem(task, type) {
+	return {
+		id: task.id,
+		name: task.name,
+		type,
+		queueId: task.queueId,
+		watchers: task.watchers || [],
+		parent: { type: 'HOPPER_QUEUE', id: task.queueId }
+	};
+}
 
-		transferProjectsAndTasks(userId, newOwnerId, [
-			...(objectsByType['PROJECT_TASK'] || []),
-			...(objectsByType['PROJECT'] || [])
-		]),
+/**
+ * Get active Task Center tasks assigned to or watched by the given user
+ *
+ * @param {string} userId - The ID of the assignee or watcher to search for.
+ * @returns {Promise<Object[]>} Tasks as { id, name, type, queueId, watchers, parent }, where type is HOPPER_TASK
+ * or HOPPER_TASK_WATCHER
+ */
+async function discoverTaskCenterTasks(userId) {
+	const assigned = await listTaskCenterTasks({ assignedTo: [userId] });
+	const assignedIds = new Set(assigned.map((task) => task.id));
+	const watched = (await listTaskCenterTasks({ watchers: [userId] })).filter(
+		(task) => !assignedIds.has(task.id)
+	);
 
-		transferMetrics(userId, newOwnerId, objectsByType['METRIC'] || [])
-	]);
+	return [
+		...assigned.map((task) => toTaskItem(task, 'HOPPER_TASK')),
+		...watched.map((task) => toTaskItem(task, 'HOPPER_TASK_WATCHER'))
+	];
 }
 
-//-------------------------DataSets--------------------------//
+/**
+ * Look up a task passed by ID, working out whether the user is its assignee or a watcher
+ *
+ * @param {string} id - The task ID
+ * @param {string} userId - The ID of the user being offboarded
+ * @returns {Promise<Object>} The task as discoverTaskCenterTasks returns it, with a null type when the user has no
+ * part in it, and the assignee as assigneeId
+ */
+async function getTaskCenterTask(id, userId) {
+	const task = await handleRequest('GET', `/api/queues/v1/tasks/${id}`);
+	const assigneeId = task.assignedTo ? task.assignedTo.id : null;
+
+	let type = null;
+	if (assigneeId == userId) {
+		type = 'HOPPER_TASK';
+	} else if ((task.watchers || []).some((watcherId) => watcherId == userId)) {
+		type = 'HOPPER_TASK_WATCHER';
+	}
+	return { ...toTaskItem(task, type), assigneeId };
+}
 
-async function transferDatasets(userId, newOwnerId, filteredIds = []) {
-	const userName = await getUserName(userId);
+/**
+ * Add the new owner to a queue unless they are already a member, so they can work the tasks handed to them
+ *
+ * @param {string} queueId - The queue ID
+ * @param {string} newOwnerId - The ID of the new owner
+ * @param {Map} checked - Pending checks keyed by queue ID, shared across one batch of tasks
+ * @returns {Promise<boolean>} Whether the new owner was added
+ */
+function ensureQueueMember(queueId, newOwnerId, checked) {
+	if (!checked.has(queueId)) {
+		const check = (async () => {
+			const url = `/api/queues/v1/${queueId}/members`;
+			const members = (await handleRequest('GET', url)) || [];
+			if (
+				members.some(
+					(member) => member.type === 'USER' && member.id == newOwnerId
+				)
+			) {
+				return false;
+			}
+			// The members endpoint only replaces the whole list, so it is written straight after it is read to keep
+			// the window for overwriting someone else's change short
+			await handleRequest('PUT', url, [
+				...members,
+				{ type: 'USER', id: newOwnerId }
+			]);
+			return true;
+		})();
+		// A failed check is not kept, so the queue's next task tries again
+		check.catch(() => {
+			if (checked.get(queueId) === check) {
+				checked.delete(queueId);
+			}
+		});
+		checked.set(queueId, check);
+	}
+	return checked.get(queueId);
+}
 
-	let allIds = [];
+async function applyTaskCenterTasks(ids, userId, newOwnerId, discovered = {}) {
+	const getType = (id) =>
+		(discovered[id] && discovered[id].type) || 'HOPPER_TASK';
+	const queueMembers = new Map();
+
+	const transfer = async (id) => {
+		// Filtered IDs arrive without their queue, which the assign endpoint needs
+		if (!discovered[id]) {
+			const task = await getTaskCenterTask(id, userId);
+			if (!task.type) {
+				return notOwnerResult(id, 'HOPPER_TASK', task.assigneeId);
+			}
+			discovered[id] = task;
+		}
+		const task = discovered[id];
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		allIds = filteredIds;
-	} else {
-		// Use existing get logic
-		const endpoint = '/api/data/ui/v3/datasources/ownedBy';
-		const data = [
-			{
-				id: userId.toString(),
-				type: 'USER'
+		const addedToQueue = await ensureQueueMember(
+			task.queueId,
+			newOwnerId,
+			queueMembers
+		);
+		const notes = addedToQueue
+			? `Added ${newOwnerId} to queue ${task.queueId}`
+			: null;
+
+		if (task.type === 'HOPPER_TASK_WATCHER') {
+			const watchers = task.watchers.filter((watcherId) => watcherId != userId);
+			if (!watchers.some((watcherId) => watcherId == newOwnerId)) {
+				watchers.push(newOwnerId);
 			}
-		];
+			await handleRequest(
+				'PUT',
+				`/api/queues/v1/${task.queueId}/tasks/${id}/watchers`,
+				{ userIds: watchers }
+			);
+			return { id, type: task.type, status: 'TRANSFERRED', notes };
+		}
 
-		const response = await handleRequest('POST', endpoint, data);
-		if (response && response.length > 0) {
-			if (response[0].dataSourceIds && response[0].dataSourceIds.length > 0) {
-				allIds = response[0].dataSourceIds;
+		const url = `/api/queues/v1/${task.queueId}/tasks/${id}/assign`;
+		const body = {
+			userId: newOwnerId,
+			type: 'USER',
+			taskIds: [id]
+		};
+		await handleRequest('PUT', url, body);
+		return { id, type: task.type, status: 'TRANSFERRED', notes };
+	};
+
+	return [
+		...(await transferEach(
+			ids.filter((id) => getType(id) === 'HOPPER_TASK'),
+			'HOPPER_TASK',
+			transfer
+		)),
+		...(await transferEach(
+			ids.filter((id) => getType(id) === 'HOPPER_TASK_WATCHER'),
+			'HOPPER_TASK_WATCHER',
+			transfer
+		))
+	];
+}
+
+async function transferTaskCenterTasks(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('HOPPER_TASK'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
+
+//------------------------------------App Studio--------------------------//
+
+/**
+ * Get App Studio apps the given user is an owner of
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Apps as { id, name }
+ */
+async function discoverAppStudioApps(userId) {
+	const apps = [];
+	const limit = 30;
+	let skip = 0;
+	let moreData = true;
+	const data = {};
+
+	while (moreData) {
+		const url = `/api/content/v1/dataapps/adminsummary?limit=${limit}&skip=${skip}`;
+		const response = await handleRequest('POST', url, data);
+
+		if (
+			response.dataAppAdminSummaries &&
+			response.dataAppAdminSummaries.length > 0
+		) {
+			// Extract ids and append to list
+			const items = response.dataAppAdminSummaries
+				.filter((item) => item.owners.some((owner) => owner.id == userId))
+				.map((item) => ({
+					id: item.dataAppId.toString(),
+					name: item.title,
+					owners: item.owners
+				}));
+			apps.push(...items);
+
+			// Increment offset to get next page
+			skip += limit;
+
+			// If less than pageSize returned, this is the last page
+			if (response.dataAppAdminSummaries.length < limit) {
+				moreData = false;
 			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
 		}
 	}
 
-	if (allIds.length > 0) {
-		// Process datasets in batches
-		const batchSize = 50;
-		for (let i = 0; i < allIds.length; i += batchSize) {
-			const chunk = allIds.slice(i, i + batchSize);
-			// Update owner
-			const body = {
-				type: 'DATA_SOURCE',
-				ids: chunk,
-				userId: newOwnerId
-			};
-			await handleRequest('POST', '/api/data/v1/ui/bulk/reassign', body);
-			// Add new tags
-			const tagsBody = {
-				bulkItems: {
-					ids: chunk,
-					type: 'DATA_SOURCE'
-				},
-				tags: [`From ${userName}`]
-			};
-			await handleRequest('POST', '/api/data/v1/ui/bulk/tag', tagsBody);
+	return apps;
+}
+
+async function applyAppStudioApps(
+	ids,
+	userId,
+	newOwnerId,
+	discovered = {},
+	coOwnerPolicy = 'REPLACE'
+) {
+	const ownersById = await getDiscoveredOwners(
+		ids,
+		userId,
+		discovered,
+		coOwnerPolicy,
+		discoverAppStudioApps
+	);
+	const { ids: appIds, skipped } = filterCoOwned(
+		ids,
+		'DATA_APP',
+		userId,
+		coOwnerPolicy,
+		(id) => getUserOwnerIds(ownersById.get(id.toString()))
+	);
+	const coOwnedResults = await removeFromCoOwned(skipped, (skippedIds) =>
+		removeAppStudioOwner(skippedIds, userId)
+	);
+	if (appIds.length === 0) {
+		return coOwnedResults;
+	}
+	const allApps = appIds.map((id) => id.toString());
+
+	const addBody = {
+		note: '',
+		entityIds: allApps,
+		owners: [{ type: 'USER', id: parseInt(newOwnerId) }],
+		sendEmail: false
+	};
+
+	const results = await transferBatch(allApps, 'DATA_APP', () =>
+		handleRequest('PUT', '/api/content/v1/dataapps/bulk/owners', addBody)
+	);
+
+	return [
+		...(await removePreviousOwner(results, coOwnerPolicy, (addedIds) =>
+			removeAppStudioOwner(addedIds, userId)
+		)),
+		...coOwnedResults
+	];
+}
+
+async function removeAppStudioOwner(appIds, userId) {
+	const removeBody = {
+		entityIds: appIds.map((id) => id.toString()),
+		owners: [{ type: 'USER', id: userId }]
+	};
+	await handleRequest(
+		'POST',
+		'/api/content/v1/dataapps/bulk/owners/remove',
+		removeBody
+	);
+}
+
+async function transferAppStudioApps(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('DATA_APP'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
+
+//-----------------------------------Pages------------------------------//
+
+/**
+ * Get pages owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Pages as { id, name }
+ */
+async function discoverPages(userId) {
+	const pages = [];
+	let skip = 0;
+	const limit = 50;
+	let moreData = true;
+
+	while (moreData) {
+		const url = `/api/content/v1/pages/adminsummary?limit=${limit}&skip=${skip}`;
+		const data = {
+			addPageWithNoOwner: false,
+			includePageOwnerClause: 1,
+			ownerIds: [userId],
+			groupOwnerIds: [],
+			orderBy: 'pageTitle',
+			ascending: true
+		};
+
+		const response = await handleRequest('POST', url, data);
+
+		if (response.pageAdminSummaries && response.pageAdminSummaries.length > 0) {
+			// Extract ids and append to list
+			const items = response.pageAdminSummaries.map((page) => ({
+				id: page.pageId,
+				name: page.pageTitle,
+				owners: page.owners
+			}));
+			pages.push(...items);
+
+			// Increment skip to get next page
+			skip += limit;
+
+			// If less than pageSize returned, this is the last page
+			if (response.pageAdminSummaries.length < limit) {
+				moreData = false;
+			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
 		}
+	}
 
-		await logTransfers(userId, newOwnerId, 'DATA_SOURCE', allIds);
+	return pages;
+}
+
+async function applyPages(
+	ids,
+	userId,
+	newOwnerId,
+	discovered = {},
+	coOwnerPolicy = 'REPLACE'
+) {
+	const ownersById = await getDiscoveredOwners(
+		ids,
+		userId,
+		discovered,
+		coOwnerPolicy,
+		discoverPages
+	);
+	const { ids: pageIds, skipped } = filterCoOwned(
+		ids,
+		'PAGE',
+		userId,
+		coOwnerPolicy,
+		(id) => getUserOwnerIds(ownersById.get(id.toString()))
+	);
+	const coOwnedResults = await removeFromCoOwned(skipped, (skippedIds) =>
+		removePageOwner(skippedIds, userId)
+	);
+	if (pageIds.length === 0) {
+		return coOwnedResults;
 	}
+
+	const body = {
+		owners: [{ id: newOwnerId, type: 'USER' }],
+		pageIds
+	};
+
+	const results = await transferBatch(pageIds, 'PAGE', () =>
+		handleRequest('PUT', '/api/content/v1/pages/bulk/owners', body)
+	);
+
+	return [
+		...(await removePreviousOwner(results, coOwnerPolicy, (addedIds) =>
+			removePageOwner(addedIds, userId)
+		)),
+		...coOwnedResults
+	];
 }
 
-//----------------------------DataFlows-----------------------//
+async function removePageOwner(pageIds, userId) {
+	const removeBody = {
+		owners: [
+			{
+				id: parseInt(userId),
+				type: 'USER'
+			}
+		],
+		pageIds
+	};
+	await handleRequest(
+		'POST',
+		'/api/content/v1/pages/bulk/owners/remove',
+		removeBody
+	);
+}
 
-async function transferDataflows(userId, newOwnerId, filteredIds = []) {
-	const userName = await getUserName(userId);
+async function transferPages(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('PAGE'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
 
-	let allIds = [];
+//---------------------------------Scheduled Reports--------------------------------//
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		allIds = filteredIds;
-	} else {
-		// Use existing get logic
-		const count = 100;
-		let offset = 0;
-		let moreData = true;
-
-		while (moreData) {
-			const data = {
-				entities: ['DATAFLOW'],
-				filters: [
+/**
+ * Get scheduled reports owned by the given user from the DomoStats DataSet
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Reports as { id, name }
+ */
+async function discoverScheduledReports(userId) {
+	const url = `api/query/v1/execute/${domostatsScheduledReportsDatasetId}`;
+	const body = {
+		querySource: 'data_table',
+		useCache: true,
+		query: {
+			columns: [
+				{
+					exprType: 'COLUMN',
+					column: 'Report Id'
+				},
+				{
+					exprType: 'COLUMN',
+					column: 'Report Name'
+				}
+			],
+			limit: {
+				limit: 10000,
+				offset: 0
+			},
+			orderByColumns: [],
+			groupByColumns: [],
+			where: {
+				not: false,
+				exprType: 'IN',
+				leftExpr: {
+					exprType: 'COLUMN',
+					column: 'Owner Id'
+				},
+				selectSet: [
 					{
-						field: 'owned_by_id',
-						filterType: 'term',
+						exprType: 'STRING_VALUE',
 						value: userId
 					}
-				],
-				query: '*',
-				count: count,
-				offset: offset
-			};
+				]
+			},
+			having: null
+		},
+		context: {
+			calendar: 'StandardCalendar',
+			features: {
+				PerformTimeZoneConversion: true,
+				AllowNullValues: true,
+				TreatNumbersAsStrings: true
+			}
+		},
+		// Used for Views Explorer, not the regular Data table
+		viewTemplate: null,
+		tableAliases: null
+	};
 
-			const response = await handleRequest(
-				'POST',
-				'/api/search/v1/query',
-				data
-			);
+	const response = await handleRequest('POST', url, body);
+	return response.rows.map((r) => ({ id: r[0], name: r[1] }));
+}
+
+async function applyScheduledReports(ids, userId, newOwnerId) {
+	return await transferEach(ids, 'REPORT_SCHEDULE', async (id) => {
+		const endpoint = `/api/content/v1/reportschedules/${id}`;
+
+		let report = await handleRequest('GET', endpoint);
+		if (report.ownerId != userId) {
+			return notOwnerResult(id, 'REPORT_SCHEDULE', report.ownerId);
+		}
+		let reportBody = {
+			id: report.id,
+			ownerId: newOwnerId,
+			schedule: report.schedule,
+			subject: report.subject,
+			viewId: report.viewId
+		};
+		report.ownerId = newOwnerId;
+		await handleRequest('PUT', endpoint, reportBody);
+	});
+}
+
+async function transferScheduledReports(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('REPORT_SCHEDULE'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
+
+//---------------------------------------------Goals------------------------------------------------//
 
-			if (response.searchObjects && response.searchObjects.length > 0) {
-				// Extract ids and append to list
-				const dataflows = response.searchObjects;
-				const ids = dataflows.map((dataflow) => dataflow.databaseId);
-				allIds.push(...ids);
+async function getCurrentPeriod() {
+	const response = await handleRequest(
+		'GET',
+		'/api/social/v1/objectives/periods?all=true'
+	);
+	const currentPeriod = response.find((period) => period.current);
+	return currentPeriod.id;
+}
 
-				// Increment offset to get next page
-				offset += count;
+/**
+ * Get the goal periods to search
+ *
+ * @param {string} periods - 'CURRENT', 'CURRENT_AND_FUTURE' or 'ALL'
+ * @returns {Promise<number[]>} The period IDs
+ */
+async function getGoalPeriodIds(periods) {
+	const response = await handleRequest(
+		'GET',
+		'/api/social/v1/objectives/periods?all=true'
+	);
+	const currentPeriod = response.find((period) => period.current);
 
-				// If less than pageSize returned, this is the last page
-				if (response.searchObjects.length < count) {
-					moreData = false;
-				}
-			} else {
-				// No more data returned, stop loop
-				moreData = false;
-			}
-		}
+	switch (periods) {
+		case 'CURRENT':
+			return [currentPeriod.id];
+		case 'CURRENT_AND_FUTURE':
+			return response
+				.filter(
+					(period) =>
+						period.current ||
+						new Date(period.startDate) > new Date(currentPeriod.startDate)
+				)
+				.map((period) => period.id);
+		case 'ALL':
+			return response.map((period) => period.id);
+		default:
+			throw new Error(`Unknown goal periods: ${periods}`);
 	}
+}
 
-	if (allIds.length > 0) {
-		const url = '/api/dataprocessing/v1/dataflows/bulk/patch';
+async function getGoals(userId, periodId, filterKeyResults = false) {
+	const url = `api/social/v2/objectives/profile?filterKeyResults=${filterKeyResults}&includeSampleGoal=false&periodId=${periodId}&ownerId=${userId}`;
 
-		// Note: We can't easily get existing tags when using filtered IDs, so we'll skip tag cleanup for filtered transfers
-		if (filteredIds.length === 0) {
-			// Only do tag cleanup when doing full transfer (not filtered)
-			const tags = []; // This would need to be retrieved per dataflow, which is complex
-			if (tags.length > 0) {
-				const oldTags = tags.filter((tag) => tag.startsWith('From')) || [];
+	return (await handleRequest('GET', url)) || [];
+}
 
-				// Remove tags
-				if (oldTags.length > 0) {
-					const removetagsBody = {
-						dataFlowIds: allIds,
-						tagNames: oldTags
-					};
-					await handleRequest(
-						'PUT',
-						'/api/dataprocessing/v1/dataflows/bulk/tag/delete',
-						removetagsBody
-					);
-				}
-			}
+/**
+ * Get goals owned by the given user, and goals owned by others where the user owns a key result
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @param {string|number} [periods=goalPeriods] - 'CURRENT', 'CURRENT_AND_FUTURE', 'ALL', or a single period ID
+ * @returns {Promise<Object[]>} Goals as { id, name, type, goal }, where type is GOAL or GOAL_KEY_RESULT
+ */
+async function discoverGoals(userId, periods = goalPeriods) {
+	const periodIds = /^\d+$/.test(periods)
+		? [parseInt(periods)]
+		: await getGoalPeriodIds(periods);
+
+	const goals = new Map();
+	for (const periodId of periodIds) {
+		for (const goal of await getGoals(userId, periodId)) {
+			goals.set(goal.id, { id: goal.id, name: goal.name, type: 'GOAL', goal });
 		}
 
-		// Log transfers
-		await logTransfers(userId, newOwnerId, 'DATAFLOW_TYPE', allIds);
-
-		// Update owner
-		const body = {
-			dataFlowIds: allIds,
-			responsibleUserId: newOwnerId
-		};
-		await handleRequest('PUT', url, body);
-
-		// Add new tags in batches of 50
-		for (let i = 0; i < allIds.length; i += 50) {
-			const chunk = allIds.slice(i, i + 50);
-			const addTagsBody = {
-				dataFlowIds: chunk,
-				tagNames: [`From ${userName}`]
-			};
-			await handleRequest(
-				'PUT',
-				'/api/dataprocessing/v1/dataflows/bulk/tag',
-				addTagsBody
-			);
+		// Filtering by key result owner also finds other owners' goals, but leaves their other key results out, so
+		// those goals are fetched whole when they are transferred
+		for (const goal of await getGoals(userId, periodId, true)) {
+			if (
+				!goals.has(goal.id) &&
+				(goal.keyResults || []).some((keyResult) =>
+					isObjectiveOwner(keyResult, userId)
+				)
+			) {
+				goals.set(goal.id, {
+					id: goal.id,
+					name: goal.name,
+					type: isObjectiveOwner(goal, userId) ? 'GOAL' : 'GOAL_KEY_RESULT'
+				});
+			}
 		}
 	}
+	return [...goals.values()];
 }
 
-//----------------------Cards-------------------------//
+function isObjectiveOwner(objective, userId) {
+	return (
+		objective.ownerId == userId ||
+		(objective.owners || []).some((owner) => owner.ownerId == userId)
+	);
+}
 
-async function transferCards(userId, newOwnerId, filteredIds = []) {
-	const url = '/api/search/v1/query';
+/**
+ * Replace the user with the new owner on a goal or key result, keeping any co-owners
+ *
+ * @param {Object} objective - The goal or key result
+ * @param {string} userId - The ID of the user being replaced
+ * @param {string} newOwnerId - The ID of the user replacing them
+ * @returns {boolean} Whether the user was an owner
+ */
+function replaceObjectiveOwner(objective, userId, newOwnerId) {
+	if (!isObjectiveOwner(objective, userId)) {
+		return false;
+	}
+
+	const owners = objective.owners || [];
+	if (objective.ownerId == userId) {
+		objective.ownerId = newOwnerId;
+	}
+	const hasNewOwner = owners.some((owner) => owner.ownerId == newOwnerId);
+	objective.owners = owners
+		.filter((owner) => !(hasNewOwner && owner.ownerId == userId))
+		.map((owner) =>
+			owner.ownerId == userId ? { ...owner, ownerId: newOwnerId } : owner
+		);
+	if (objective.owners.length === 0) {
+		objective.owners = [
+			{
+				ownerId: newOwnerId,
+				ownerType: 'USER',
+				primary: false
+			}
+		];
+	}
+	return true;
+}
 
-	let allIds = [];
+async function applyGoals(ids, userId, newOwnerId, discovered = {}) {
+	const getType = (id) => (discovered[id] && discovered[id].type) || 'GOAL';
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		allIds = filteredIds;
-	} else {
-		// Use existing discovery logic
-		let offset = 0;
-		const count = 50;
-		let moreData = true;
-
-		while (moreData) {
-			const data = {
-				count: count,
-				offset: offset,
-				combineResults: false,
-				query: '*',
-				filters: [
-					{
-						name: 'OWNED_BY_ID',
-						field: 'owned_by_id',
-						facetType: 'user',
-						value: `${userId}:USER`,
-						filterType: 'term'
-					}
-				],
-				entityList: [['card']]
-			};
+	const transfer = async (id) => {
+		const goalUrl = `/api/social/v1/objectives/${id}`;
 
-			const response = await handleRequest('POST', url, data);
+		const goal =
+			discovered[id] && discovered[id].goal
+				? discovered[id].goal
+				: await handleRequest('GET', goalUrl);
+		const ownsGoal = replaceObjectiveOwner(goal, userId, newOwnerId);
 
-			if (response.searchObjects && response.searchObjects.length > 0) {
-				const ids = response.searchObjects.map((card) => card.databaseId);
-				allIds.push(...ids);
+		// Key results are saved with their goal
+		const keyResults = (goal.keyResults || []).filter((keyResult) =>
+			replaceObjectiveOwner(keyResult, userId, newOwnerId)
+		);
+		if (!ownsGoal && keyResults.length === 0) {
+			return notOwnerResult(id, getType(id), goal.ownerId);
+		}
 
-				// Increment offset to get next page
-				offset += count;
+		await handleRequest('PUT', goalUrl, goal);
 
-				// If less than pageSize returned, this is the last page
-				if (response.searchObjects.length < count) {
-					moreData = false;
-				}
-			} else {
-				// No more data returned, stop loop
-				moreData = false;
+		const moved = [];
+		if (keyResults.length > 0) {
+			moved.push(`${keyResults.length} key result(s)`);
+		}
+		const notes = [];
+		try {
+			const checkIns = await reassignCheckIns(goalUrl, userId, newOwnerId);
+			if (checkIns > 0) {
+				moved.push(`${checkIns} check-in(s)`);
 			}
+		} catch (error) {
+			// The goal has already moved, so check-ins that could not follow are noted rather than failing it
+			notes.push(`Check-ins were not reassigned: ${error.message}`);
+		}
+		if (moved.length > 0) {
+			notes.unshift(
+				ownsGoal
+					? `Also reassigned ${moved.join(' and ')}`
+					: `Reassigned ${moved.join(' and ')} on a goal owned by ${
+							goal.ownerId
+					  }`
+			);
 		}
-	}
 
-	if (allIds.length > 0) {
-		let body = {
-			cardIds: allIds,
-			cardOwners: [
-				{
-					id: newOwnerId,
-					type: 'USER'
-				}
-			],
-			note: '',
-			sendEmail: false
+		return {
+			id,
+			type: ownsGoal ? 'GOAL' : 'GOAL_KEY_RESULT',
+			status: 'TRANSFERRED',
+			notes: notes.length > 0 ? notes.join('; ') : null
 		};
+	};
 
-		await handleRequest('POST', '/api/content/v1/cards/owners/add', body);
-
-		body.cardOwners = [
-			{
-				id: userId,
-				type: 'USER'
-			}
-		];
+	return [
+		...(await transferEach(
+			ids.filter((id) => getType(id) === 'GOAL'),
+			'GOAL',
+			transfer
+		)),
+		...(await transferEach(
+			ids.filter((id) => getType(id) === 'GOAL_KEY_RESULT'),
+			'GOAL_KEY_RESULT',
+			transfer
+		))
+	];
+}
 
-		// await handleRequest('POST', '/api/content/v1/cards/owners/remove', body); // Removing because their ownership will be removed when they are deleted
+// Check-ins the user was due to submit go to the new owner
+async function reassignCheckIns(goalUrl, userId, newOwnerId) {
+	const checkIns = (
+		(await handleRequest('GET', `${goalUrl}/checkins`)) || []
+	).filter((checkIn) => checkIn.ownerId == userId);
+	for (const checkIn of checkIns) {
+		await handleRequest('PUT', `${goalUrl}/checkins/${checkIn.id}`, {
+			...checkIn,
+			ownerId: newOwnerId
+		});
+	}
+	return checkIns.length;
+}
 
-		await logTransfers(userId, newOwnerId, 'CARD', allIds);
+async function transferGoals(
+	userId,
+	newOwnerId,
+	periods = goalPeriods,
+	filteredIds = []
+) {
+	// Callers of the previous version pass the IDs third and the periods fourth
+	if (Array.isArray(periods)) {
+		const ids = periods;
+		periods = Array.isArray(filteredIds) ? null : filteredIds;
+		filteredIds = ids;
+	}
+	if (periods == null) {
+		periods = goalPeriods;
+	}
+	if (filteredIds == null) {
+		filteredIds = [];
 	}
+
+	const module = getTransferModule('GOAL');
+	await runSingleTransfer(
+		{ ...module, discover: (id) => discoverGoals(id, periods) },
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
 }
 
-// -----------------Alerts--------------------------//
+//-----------------------------------------Groups----------------------------------------//
+
 /**
- * Get alerts a user is subscribed to
+ * Get groups owned by the given user
  *
- * @param {string} userId - The ID of the user to get alerts for.
- * @returns {List<int>} List of alert IDs the user is subscribed to.
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Groups as { id, name }
  */
-async function transferAlerts(userId, newOwnerId, filteredIds = []) {
-	let alerts = [];
-
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		alerts = filteredIds;
-	} else {
-		// Use existing discovery logic
-		let moreData = true;
-		let offset = 0;
-		const limit = 50;
+async function discoverGroups(userId) {
+	const groups = [];
+	const limit = 100;
+	let offset = 0;
+	let moreData = true;
 
-		while (moreData) {
-			const response = await handleRequest(
-				'GET',
-				`/api/social/v4/alerts?ownerId=${userId}&limit=${limit}&offset=${offset}`
-			);
+	while (moreData) {
+		const url = `/api/content/v2/groups/grouplist?owner=${userId}&limit=${limit}&offset=${offset}`;
+		const response = await handleRequest('GET', url);
 
-			if (response.length > 0) {
-				// Extract ids and append to list
-				const ids = response.map((alert) => alert.id);
-				alerts.push(...ids);
+		if (response && response.length > 0) {
+			// Extract ids and append to list
+			const items = response
+				.filter((group) => group.owners.some((owner) => owner.id === userId))
+				.map((group) => ({
+					id: group.id,
+					name: group.name,
+					owners: group.owners
+				}));
+			groups.push(...items);
 
-				// Increment offset to get next page
-				offset += limit;
+			// Increment offset to get next page
+			offset += limit;
 
-				// If less than pageSize returned, this is the last page
-				if (response.length < limit) {
-					moreData = false;
-				}
-			} else {
-				// No more data returned, stop loop
+			// If less than pageSize returned, this is the last page
+			if (response.length < limit) {
 				moreData = false;
 			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
 		}
 	}
 
-	if (alerts.length > 0) {
-		for (let i = 0; i < alerts.length; i++) {
-			const body = {
-				id: alerts[i],
-				owner: newOwnerId
-			};
-			const url = `/api/social/v4/alerts/${alerts[i]}`;
-			await handleRequest('PATCH', url, body);
-		}
+	return groups;
+}
 
-		await logTransfers(userId, newOwnerId, 'ALERT', alerts);
+async function applyGroups(
+	ids,
+	userId,
+	newOwnerId,
+	discovered = {},
+	coOwnerPolicy = 'REPLACE'
+) {
+	const ownersById = await getDiscoveredOwners(
+		ids,
+		userId,
+		discovered,
+		coOwnerPolicy,
+		discoverGroups
+	);
+	const { ids: groupIds, skipped } = filterCoOwned(
+		ids,
+		'GROUP',
+		userId,
+		coOwnerPolicy,
+		(id) => getUserOwnerIds(ownersById.get(id.toString()))
+	);
+	const removeOwners =
+		coOwnerPolicy === 'ADD_ONLY' ? [] : [{ type: 'USER', id: userId }];
+
+	const coOwnedResults = await removeFromCoOwned(skipped, (skippedIds) =>
+		handleRequest(
+			'PUT',
+			'/api/content/v2/groups/access',
+			skippedIds.map((group) => ({ groupId: group, removeOwners }))
+		)
+	);
+	if (groupIds.length === 0) {
+		return coOwnedResults;
 	}
+
+	const body = groupIds.map((group) => ({
+		groupId: group,
+		addOwners: [{ type: 'USER', id: newOwnerId }],
+		removeOwners
+	}));
+
+	return [
+		...(await transferBatch(groupIds, 'GROUP', () =>
+			handleRequest('PUT', '/api/content/v2/groups/access', body)
+		)),
+		...coOwnedResults
+	];
 }
 
-//---------------------------Workflows--------------------------------//
+async function transferGroups(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('GROUP'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
+
+//-----------------------------------------AppDB--------------------------------//
+// Datastore owner cannot be updated
+
 /**
- * Get Workflows owned by given user ID and transfer ownership by updating the full workflow object
+ * Get AppDB collections owned by the given user
  *
  * @param {string} userId - The ID of the owner to search for.
- * @param {string} newOwnerId - The ID of the new owner.
+ * @returns {Promise<Object[]>} Collections as { id, name }
  */
-async function transferWorkflows(userId, newOwnerId, filteredIds = []) {
-	let workflowIds = [];
+async function discoverAppDbCollections(userId) {
+	const collections = [];
+	let moreData = true;
+	let pageNumber = 1;
+	const pageSize = 100;
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		workflowIds = filteredIds;
-	} else {
-		// Use existing discovery logic
-		const count = 100;
-		let offset = 0;
-		let moreData = true;
-
-		while (moreData) {
-			const data = {
-				query: '*',
-				entityList: [['workflow_model']],
-				count: count,
-				offset: offset,
-				filters: [
-					{
-						facetType: 'user',
-						filterType: 'term',
-						field: 'owned_by_id',
-						value: `${userId}:USER`
-					}
-				]
-			};
+	while (moreData) {
+		const data = {
+			collectionFilteringList: [
+				{
+					filterType: 'ownedby',
+					comparingCriteria: 'equals',
+					typedValue: userId
+				}
+			],
+			pageSize: pageSize,
+			pageNumber: pageNumber
+		};
 
-			const response = await handleRequest(
-				'POST',
-				'/api/search/v1/query',
-				data
-			);
+		const response = await handleRequest(
+			'POST',
+			'/api/datastores/v1/collections/query',
+			data
+		);
 
-			if (response.searchObjects && response.searchObjects.length > 0) {
-				// Extract ids and append to list
-				const ids = response.searchObjects.map((workflow) => workflow.uuid);
-				workflowIds.push(...ids);
+		if (response.collections && response.collections.length > 0) {
+			const items = response.collections.map((collection) => ({
+				id: collection.id,
+				name: collection.name
+			}));
+			collections.push(...items);
 
-				// Increment offset to get next page
-				offset += count;
+			// Increment page number to get next page
+			pageNumber++;
 
-				// If less than pageSize returned, this is the last page
-				if (response.searchObjects.length < count) {
-					moreData = false;
-				}
-			} else {
-				// No more data returned, stop loop
+			// If less than pageSize returned, this is the last page
+			if (response.collections.length < pageSize) {
 				moreData = false;
 			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
 		}
 	}
 
-	if (workflowIds.length > 0) {
-		// Process each workflow individually by fetching the full object and updating it
-		for (let i = 0; i < workflowIds.length; i++) {
-			const workflowId = workflowIds[i];
-
-			// Get the full workflow object
-			const workflow = await handleRequest(
-				'GET',
-				`/api/workflow/v1/models/${workflowId}`
-			);
-
-			// Update the owner property
-			workflow.owner = newOwnerId.toString();
-
-			// Save the workflow with the updated owner
-			await handleRequest(
-				'PUT',
-				`/api/workflow/v1/models/${workflowId}`,
-				workflow
-			);
-		}
-
-		await logTransfers(userId, newOwnerId, 'WORKFLOW_MODEL', workflowIds);
-	}
+	return collections;
 }
 
-//--------------------------Task Center Queues--------------------------//
-
-async function transferTaskCenterQueues(userId, newOwnerId, filteredIds = []) {
-	let queues = [];
-
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		queues = filteredIds;
-	} else {
-		// Use existing discovery logic
-		const count = 100;
-		let offset = 0;
-		let moreData = true;
-
-		while (moreData) {
-			const data = {
-				query: '*',
-				entityList: [['queue']],
-				count: count,
-				offset: offset,
-				filters: [
-					{
-						facetType: 'user',
-						filterType: 'term',
-						field: 'owned_by_id',
-						value: `${userId}:USER`
-					}
-				]
-			};
+async function applyAppDbCollections(ids, userId, newOwnerId) {
+	return await transferEach(ids, 'COLLECTION', async (id) => {
+		const url = `/api/datastores/v1/collections/${id}`;
+		const body = { id: id, owner: newOwnerId };
+		await handleRequest('PUT', url, body);
+	});
+}
 
-			const response = await handleRequest(
-				'POST',
-				'/api/search/v1/query',
-				data
-			);
+async function transferAppDbCollections(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('COLLECTION'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
 
-			if (response.searchObjects && response.searchObjects.length > 0) {
-				// Extract ids and append to list
-				const ids = response.searchObjects.map((queue) => queue.uuid);
-				queues.push(...ids);
+//--------------------------Functions (Beast Modes and Variables)-------------------------//
 
-				// Increment offset to get next page
-				offset += count;
+function getLinkTargetKey(resource) {
+	const type = resource.type === 'DATASET' ? 'DATA_SOURCE' : resource.type;
+	return `${type}:${resource.id}`;
+}
 
-				// If less than pageSize returned, this is the last page
-				if (response.searchObjects.length < count) {
-					moreData = false;
-				}
-			} else {
-				// No more data returned, stop loop
-				moreData = false;
+/**
+ * Find the Cards and DataSets that functions link to but that no longer exist. Targets are checked in bulk first, and
+ * any the bulk responses leave out are looked up one at a time, since they may only be hidden from the caller.
+ *
+ * @param {Object[]} functions - Functions as { id, links }
+ * @returns {Promise<Set>} Keys of the link targets confirmed missing, from getLinkTargetKey
+ */
+async function getMissingLinkTargets(functions) {
+	const cardIds = new Set();
+	const datasetIds = new Set();
+	for (const func of functions) {
+		for (const link of func.links || []) {
+			const resource = link && link.resource ? link.resource : null;
+			if (!resource || resource.id == null) {
+				continue;
+			}
+			if (resource.type === 'CARD') {
+				cardIds.add(resource.id.toString());
+			} else if (
+				resource.type === 'DATA_SOURCE' ||
+				resource.type === 'DATASET'
+			) {
+				datasetIds.add(resource.id.toString());
 			}
 		}
 	}
 
-	if (queues.length > 0) {
-		for (let i = 0; i < queues.length; i++) {
-			await handleRequest(
-				'PUT',
-				`/api/queues/v1/${queues[i]}/owner/${newOwnerId}`,
-				null,
-				{ 'Content-Type': 'application/json' }
-			);
+	// A failed lookup counts its targets as existing, so a transient error never removes a function
+	const unconfirmed = [];
+	try {
+		const foundIds = new Set((await getCardOwners([...cardIds])).keys());
+		for (const id of cardIds) {
+			if (!foundIds.has(id)) {
+				unconfirmed.push({
+					key: `CARD:${id}`,
+					url: `/api/content/v1/cards/${id}/details`
+				});
+			}
 		}
-
-		await logTransfers(userId, newOwnerId, 'HOPPER_QUEUE', queues);
+	} catch (error) {
+		console.error('Failed to check linked cards:', error.message);
 	}
-}
-
-//--------------------------Task Center Tasks--------------------------//
-
-async function transferTaskCenterTasks(userId, newOwnerId, filteredIds = []) {
-	let tasks = [];
-
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list - for tasks we need to fetch queue info
-		const taskDetails = [];
-		for (const taskId of filteredIds) {
-			// We'd need to find the queue for each task, but this is complex
-			// For now, just store the ID and handle the transfer
-			taskDetails.push({ id: taskId, queueId: null });
-		}
-		tasks = taskDetails;
-	} else {
-		// Use existing discovery logic
-		let offset = 0;
-		const limit = 100;
-		let moreData = true;
 
-		while (moreData) {
-			const response = await handleRequest(
+	const batchSize = 50;
+	const datasets = [...datasetIds];
+	for (let i = 0; i < datasets.length; i += batchSize) {
+		const chunk = datasets.slice(i, i + batchSize);
+		try {
+			const bulkResponse = await handleRequest(
 				'POST',
-				`/api/queues/v1/tasks/list?limit=${limit}&offset=${offset}`,
-				{ assignedTo: [userId], status: ['OPEN'] }
+				'/api/data/v3/datasources/bulk?includePrivate=true',
+				chunk
 			);
-
-			if (response && response.length > 0) {
-				// Extract ids and append to list
-				const ids = response.map((task) => ({
-					id: task.id,
-					queueId: task.queueId
-				}));
-				tasks.push(...ids);
-
-				// Increment offset to get next page
-				offset += limit;
-
-				// If less than pageSize returned, this is the last page
-				if (response.length < limit) {
-					moreData = false;
+			const foundIds = new Set(
+				((bulkResponse && bulkResponse.dataSources) || []).map((dataSource) =>
+					dataSource.id.toString()
+				)
+			);
+			for (const id of chunk) {
+				if (!foundIds.has(id)) {
+					unconfirmed.push({
+						key: `DATA_SOURCE:${id}`,
+						url: `/api/data/v3/datasources/${id}`
+					});
 				}
-			} else {
-				// No more data returned, stop loop
-				moreData = false;
 			}
+		} catch (error) {
+			console.error('Failed to check linked DataSets:', error.message);
 		}
 	}
 
-	if (tasks.length > 0) {
-		const taskIdList = [];
-
-		for (let i = 0; i < tasks.length; i++) {
-			if (tasks[i].queueId) {
-				const url = `/api/queues/v1/${tasks[i].queueId}/tasks/${tasks[i].id}/assign`;
-				const body = {
-					userId: newOwnerId,
-					type: 'USER',
-					taskIds: [tasks[i].id]
-				};
-				await handleRequest('PUT', url, body);
+	// Only a 404 confirms a target is gone
+	const missing = new Set();
+	for (const target of unconfirmed) {
+		try {
+			await handleRequest('GET', target.url);
+		} catch (error) {
+			if (error instanceof RequestError && error.status === 404) {
+				missing.add(target.key);
 			}
-			taskIdList.push(tasks[i].id);
 		}
-
-		await logTransfers(userId, newOwnerId, 'HOPPER_TASK', taskIdList);
 	}
-}
-
-//------------------------------------App Studio--------------------------//
-
-async function transferAppStudioApps(userId, newOwnerId, filteredIds = []) {
-	let allApps = [];
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		allApps = filteredIds.map((id) => id.toString());
-	} else {
-		// Use existing discovery logic
-		const limit = 30;
-		let skip = 0;
-		let moreData = true;
-		const data = {};
-
-		while (moreData) {
-			const url = `/api/content/v1/dataapps/adminsummary?limit=${limit}&skip=${skip}`;
-			const response = await handleRequest('POST', url, data);
+	return missing;
+}
 
-			if (
-				response.dataAppAdminSummaries &&
-				response.dataAppAdminSummaries.length > 0
-			) {
-				// Extract ids and append to list
-				const apps = response.dataAppAdminSummaries
-					.filter((item) => item.owners.some((owner) => owner.id == userId))
-					.map((item) => item.dataAppId.toString());
-				allApps.push(...apps);
-
-				// Increment offset to get next page
-				skip += limit;
-
-				// If less than pageSize returned, this is the last page
-				if (response.dataAppAdminSummaries.length < limit) {
-					moreData = false;
-				}
-			} else {
-				// No more data returned, stop loop
-				moreData = false;
-			}
+/**
+ * Split a function's links into those that still point at something and those whose target is missing
+ *
+ * @param {Object[]} links - The function's links
+ * @param {Set|string[]} [missing=[]] - Keys of the missing link targets, from getMissingLinkTargets
+ * @returns {Object} The links as { valid, invalid }
+ */
+function sanitizeLinks(links, missing = []) {
+	if (!Array.isArray(links) || links.length === 0)
+		return { valid: [], invalid: [] };
+	const missingKeys = new Set(missing);
+	const valid = [];
+	const invalid = [];
+	for (const link of links) {
+		const res = link && link.resource ? link.resource : null;
+		if (res && res.id != null && missingKeys.has(getLinkTargetKey(res))) {
+			invalid.push(link);
+		} else {
+			valid.push(link);
 		}
 	}
+	return { valid, invalid };
+}
 
-	if (allApps.length > 0) {
-		const addBody = {
-			note: '',
-			entityIds: allApps,
-			owners: [{ type: 'USER', id: parseInt(newOwnerId) }],
-			sendEmail: false
-		};
-
-		await handleRequest('PUT', '/api/content/v1/dataapps/bulk/owners', addBody);
+/**
+ * Get Beast Modes and Variables owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Functions as { id, name, type, links }
+ */
+async function discoverFunctions(userId) {
+	const functions = [];
+	let moreData = true;
+	let offset = 0;
+	const limit = 100;
 
-		const removeBody = {
-			entityIds: allApps,
-			owners: [{ type: 'USER', id: userId }]
+	while (moreData) {
+		const data = {
+			filters: [{ field: 'owner', idList: [userId] }],
+			sort: {
+				field: 'name',
+				ascending: true
+			},
+			limit: limit,
+			offset: offset
 		};
 
-		await handleRequest(
+		const response = await handleRequest(
 			'POST',
-			'/api/content/v1/dataapps/bulk/owners/remove',
-			removeBody
+			'/api/query/v1/functions/search',
+			data
 		);
 
-		await logTransfers(userId, newOwnerId, 'DATA_APP', allApps);
+		if (response.results && response.results.length > 0) {
+			const items = response.results.map((func) => ({
+				id: func.id,
+				name: func.name,
+				type: func.global === false ? 'BEAST_MODE_FORMULA' : 'VARIABLE',
+				links: func.links
+			}));
+			functions.push(...items);
+
+			// Increment offset to get next page
+			offset += limit;
+
+			moreData = response.hasMore;
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
+		}
 	}
+
+	return functions;
 }
 
-//-----------------------------------Pages------------------------------//
+async function applyFunctions(ids, userId, newOwnerId, discovered = {}) {
+	const functions = [];
+	const results = [];
 
-async function transferPages(userId, newOwnerId, filteredIds = []) {
-	let allPages = [];
+	for (const functionId of ids) {
+		if (discovered[functionId]) {
+			functions.push(discovered[functionId]);
+			continue;
+		}
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		allPages = filteredIds;
-	} else {
-		// Use existing discovery logic
-		let skip = 0;
-		const limit = 50;
-		let moreData = true;
-
-		while (moreData) {
-			const url = `/api/content/v1/pages/adminsummary?limit=${limit}&skip=${skip}`;
-			const data = {
-				addPageWithNoOwner: false,
-				includePageOwnerClause: 1,
-				ownerIds: [userId],
-				groupOwnerIds: [],
-				orderBy: 'pageTitle',
-				ascending: true
-			};
+		// Filtered IDs arrive without their links, so fetch each function individually
+		try {
+			const response = await handleRequest(
+				'GET',
+				`/api/query/v1/functions/template/${functionId}?hidden=true`
+			);
+			functions.push({
+				id: functionId,
+				name: response.name,
+				type: response.global === false ? 'BEAST_MODE_FORMULA' : 'VARIABLE',
+				links: response.links,
+				template: response
+			});
+		} catch (error) {
+			results.push(errorResult(functionId, 'BEAST_MODE_FORMULA', error));
+		}
+	}
+
+	const bulkUrl = '/api/query/v1/functions/bulk/template';
+	const chunkSize = 100; // Max objects per transfer request
+	const beastModes = [];
+	const variables = [];
+	const orphaned = [];
+	const missingTargets = await getMissingLinkTargets(functions);
+
+	for (const func of functions) {
+		const isBeastMode = func.type === 'BEAST_MODE_FORMULA';
+		const originalLinks = func.links;
+		const { valid: validLinks, invalid: invalidLinks } = sanitizeLinks(
+			originalLinks,
+			missingTargets
+		);
 
-			const response = await handleRequest('POST', url, data);
+		// Card usages are CARD links, so a function is only orphaned once none of its links, cards included, are left
+		const isOrphaned = invalidLinks.length > 0 && validLinks.length === 0;
 
-			if (
-				response.pageAdminSummaries &&
-				response.pageAdminSummaries.length > 0
-			) {
-				// Extract ids and append to list
-				const pages = response.pageAdminSummaries.map((page) => page.pageId);
-				allPages.push(...pages);
+		if (isOrphaned && orphanedFunctionAction === 'ARCHIVE') {
+			orphaned.push(func);
+			continue;
+		}
+		if (isOrphaned) {
+			const deleteUrl = `/api/query/v1/functions/template/${func.id}`;
+			try {
+				await handleRequest('DELETE', deleteUrl);
+			} catch (error) {
+				results.push(errorResult(func.id, func.type, error));
+				continue;
+			}
 
-				// Increment skip to get next page
-				skip += limit;
+			results.push({
+				id: func.id,
+				type: func.type,
+				status: 'DELETED',
+				notes: `${
+					isBeastMode ? 'Beast Mode' : 'Variable'
+				} was only linked to deleted resources`
+			});
+			continue; // Skip adding to transfer list
+		}
 
-				// If less than pageSize returned, this is the last page
-				if (response.pageAdminSummaries.length < limit) {
-					moreData = false;
-				}
-			} else {
-				// No more data returned, stop loop
-				moreData = false;
+		// Update links individually if there are invalid links to remove
+		if (invalidLinks.length > 0) {
+			const linkUrl = `/api/query/v1/functions/template/${func.id}/links`;
+			const linkBody = {
+				linkTo: validLinks,
+				unlinkFrom: invalidLinks
+			};
+			try {
+				await handleRequest('POST', linkUrl, linkBody);
+			} catch (error) {
+				results.push(errorResult(func.id, func.type, error));
+				continue;
 			}
 		}
-	}
 
-	if (allPages.length > 0) {
-		const body = {
-			owners: [{ id: newOwnerId, type: 'USER' }],
-			pageIds: allPages
+		const functionData = {
+			id: func.id,
+			owner: newOwnerId,
+			links: validLinks
 		};
 
-		await handleRequest('PUT', '/api/content/v1/pages/bulk/owners', body);
-
-		const removeBody = {
-			owners: [
-				{
-					id: parseInt(userId),
-					type: 'USER'
-				}
-			],
-			pageIds: allPages
-		};
+		if (isBeastMode) {
+			beastModes.push(functionData);
+		} else {
+			variables.push(functionData);
+		}
+	}
 
-		await handleRequest(
-			'POST',
-			'/api/content/v1/pages/bulk/owners/remove',
-			removeBody
+	// Transfer functions in batches
+	for (let i = 0; i < beastModes.length; i += chunkSize) {
+		const chunk = beastModes.slice(i, i + chunkSize);
+		const chunkResults = await transferBatch(
+			chunk.map((func) => func.id),
+			'BEAST_MODE_FORMULA',
+			() => handleRequest('POST', bulkUrl, { update: chunk })
 		);
-		await logTransfers(userId, newOwnerId, 'PAGE', allPages);
+		results.push(...chunkResults);
 	}
-}
-
-//---------------------------------Scheduled Reports--------------------------------//
-
-async function transferScheduledReports(userId, newOwnerId, filteredIds = []) {
-	let reportIds = [];
-
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		reportIds = filteredIds;
-	} else {
-		// Use existing discovery logic
-		const url = `api/query/v1/execute/${domostatsScheduledReportsDatasetId}`;
-		const body = {
-			querySource: 'data_table',
-			useCache: true,
-			query: {
-				columns: [
-					{
-						exprType: 'COLUMN',
-						column: 'Report Id'
-					}
-				],
-				limit: {
-					limit: 10000,
-					offset: 0
-				},
-				orderByColumns: [],
-				groupByColumns: [],
-				where: {
-					not: false,
-					exprType: 'IN',
-					leftExpr: {
-						exprType: 'COLUMN',
-						column: 'Owner Id'
-					},
-					selectSet: [
-						{
-							exprType: 'STRING_VALUE',
-							value: userId
-						}
-					]
-				},
-				having: null
-			},
-			context: {
-				calendar: 'StandardCalendar',
-				features: {
-					PerformTimeZoneConversion: true,
-					AllowNullValues: true,
-					TreatNumbersAsStrings: true
-				}
-			},
-			// Used for Views Explorer, not the regular Data table
-			viewTemplate: null,
-			tableAliases: null
-		};
-
-		const response = await handleRequest('POST', url, body);
-		const reports = response.rows;
-		reportIds = reports.map((r) => r[0]);
+	for (let i = 0; i < variables.length; i += chunkSize) {
+		const chunk = variables.slice(i, i + chunkSize);
+		const chunkResults = await transferBatch(
+			chunk.map((func) => func.id),
+			'VARIABLE',
+			() => handleRequest('POST', bulkUrl, { update: chunk })
+		);
+		results.push(...chunkResults);
 	}
 
-	if (reportIds.length > 0) {
-		for (let i = 0; i < reportIds.length; i++) {
-			const endpoint = `/api/content/v1/reportschedules/${reportIds[i]}`;
-
-			let report = await handleRequest('GET', endpoint);
-			let reportBody = {
-				id: report.id,
-				ownerId: newOwnerId,
-				schedule: report.schedule,
-				subject: report.subject,
-				viewId: report.viewId
-			};
-			report.ownerId = newOwnerId;
-			await handleRequest('PUT', endpoint, reportBody);
+	// Archiving updates the whole function, so each one is sent as it is apart from the owner and archived flag
+	const archivable = [];
+	for (const func of orphaned) {
+		if (func.template) {
+			archivable.push(func);
+			continue;
+		}
+		try {
+			const template = await handleRequest(
+				'GET',
+				`/api/query/v1/functions/template/${func.id}?hidden=true`
+			);
+			archivable.push({ ...func, template });
+		} catch (error) {
+			results.push(errorResult(func.id, func.type, error));
 		}
-		await logTransfers(userId, newOwnerId, 'REPORT_SCHEDULE', reportIds);
 	}
-}
 
-//---------------------------------------------Goals------------------------------------------------//
+	// Archived functions still go to the new owner, so they are not left with a deleted user
+	for (let i = 0; i < archivable.length; i += chunkSize) {
+		const chunk = archivable.slice(i, i + chunkSize);
+		const update = chunk.map((func) => ({
+			...func.template,
+			id: func.id,
+			owner: newOwnerId,
+			archived: true
+		}));
+		const chunkResults = await transferBatch(
+			chunk.map((func) => func.id),
+			'BEAST_MODE_FORMULA',
+			() => handleRequest('POST', bulkUrl, { update })
+		);
+		results.push(
+			...chunkResults.map((result, index) =>
+				result.status === 'TRANSFERRED'
+					? {
+							...result,
+							type: chunk[index].type,
+							status: 'ARCHIVED',
+							notes: `${
+								chunk[index].type === 'BEAST_MODE_FORMULA'
+									? 'Beast Mode'
+									: 'Variable'
+							} was only linked to deleted resources`
+					  }
+					: { ...result, type: chunk[index].type }
+			)
+		);
+	}
 
-async function getCurrentPeriod() {
-	const response = await handleRequest(
-		'GET',
-		'/api/social/v1/objectives/periods?all=true'
+	return results;
+}
+
+async function transferFunctions(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('BEAST_MODE_FORMULA'),
+		createRun(userId, newOwnerId),
+		filteredIds
 	);
-	const currentPeriod = response.find((period) => period.current);
-	return currentPeriod.id;
 }
 
-async function transferGoals(userId, newOwnerId, periodId) {
-	const url = `api/social/v2/objectives/profile?filterKeyResults=false&includeSampleGoal=false&periodId=${periodId}&ownerId=${userId}`;
+//-----------------------------Accounts---------------------//
 
-	const goals = await handleRequest('GET', url);
-	if (goals && goals.length > 0) {
-		for (let i = 0; i < goals.length; i++) {
-			const goalUrl = `/api/social/v1/objectives/${goals[i].id}`;
+/**
+ * Get accounts owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Accounts as { id, name, lastModified }
+ */
+async function discoverAccounts(userId) {
+	const accounts = [];
+	let moreData = true;
+	let offset = 0;
+	const count = 100;
 
-			goals[i].ownerId = newOwnerId;
-			goals[i].owners = [
+	while (moreData) {
+		const data = {
+			count: count,
+			offset: offset,
+			combineResults: false,
+			hideSearchObjects: true,
+			query: '**',
+			filters: [
 				{
-					ownerId: newOwnerId,
-					ownerType: 'USER',
-					primary: false
+					filterType: 'term',
+					field: 'owned_by_id',
+					value: userId,
+					name: 'Owned by',
+					not: false
 				}
-			];
-
-			const body = goals[i];
+			],
+			facetValuesToInclude: [],
+			queryProfile: 'GLOBAL',
+			entityList: [['account']]
+		};
 
-			await handleRequest('PUT', goalUrl, body);
+		const response = await handleRequest('POST', '/api/search/v1/query', data);
+		if (
+			response.searchResultsMap &&
+			response.searchResultsMap.account.length > 0
+		) {
+			// Extract ids and append to list
+			const items = response.searchResultsMap.account.map((account) => ({
+				id: account.databaseId,
+				name: account.name,
+				lastModified: account.lastModified
+			}));
+			accounts.push(...items);
+
+			// Increment offset to get next page
+			offset += count;
+
+			// If less than pageSize returned, this is the last page
+			if (response.searchResultsMap.account.length < count) {
+				moreData = false;
+			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
 		}
-		await logTransfers(
-			userId,
-			newOwnerId,
-			'GOAL',
-			goals.map((goal) => goal.id)
-		);
 	}
-}
-
-//-----------------------------------------Groups----------------------------------------//
 
-async function transferGroups(userId, newOwnerId, filteredIds = []) {
-	let allGroupIds = [];
+	return accounts;
+}
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		allGroupIds = filteredIds;
-	} else {
-		// Use existing discovery logic
-		const limit = 100;
-		let offset = 0;
-		let moreData = true;
-
-		while (moreData) {
-			const url = `/api/content/v2/groups/grouplist?owner=${userId}&limit=${limit}&offset=${offset}`;
-			const response = await handleRequest('GET', url);
-
-			if (response && response.length > 0) {
-				// Extract ids and append to list
-				const groupIds = response
-					.filter((group) => group.owners.some((owner) => owner.id === userId))
-					.map((group) => group.id);
-				allGroupIds.push(...groupIds);
-
-				// Increment offset to get next page
-				offset += limit;
-
-				// If less than pageSize returned, this is the last page
-				if (response.length < limit) {
-					moreData = false;
-				}
-			} else {
-				// No more data returned, stop loop
-				moreData = false;
+async function applyAccounts(
+	ids,
+	userId,
+	newOwnerId,
+	discovered = {},
+	coOwnerPolicy = 'REPLACE'
+) {
+	return await transferEach(ids, 'ACCOUNT', async (id) => {
+		const transferUrl = `/api/data/v2/accounts/share/${id}`;
+		const removeBody = { type: 'USER', id: userId, accessLevel: 'NONE' };
+		if (coOwnerPolicy === 'SKIP_IF_OTHER_OWNER_EXISTS') {
+			const accessList = await handleRequest('GET', transferUrl);
+			const owners = (accessList || []).filter(
+				(entry) => entry.accessLevel === 'OWNER'
+			);
+			const { skipped } = filterCoOwned(
+				[id],
+				'ACCOUNT',
+				userId,
+				coOwnerPolicy,
+				() => getUserOwnerIds(owners)
+			);
+			if (skipped.length > 0) {
+				await handleRequest('PUT', transferUrl, removeBody);
+				return skipped[0];
 			}
 		}
-	}
 
-	if (allGroupIds.length > 0) {
-		const body = allGroupIds.map((group) => ({
-			groupId: group,
-			addOwners: [{ type: 'USER', id: newOwnerId }],
-			removeOwners: [{ type: 'USER', id: userId }]
-		}));
+		const addBody = { type: 'USER', id: newOwnerId, accessLevel: 'OWNER' };
+		await handleRequest('PUT', transferUrl, addBody);
 
-		await handleRequest('PUT', '/api/content/v2/groups/access', body);
+		const [result] = await removePreviousOwner(
+			[{ id, type: 'ACCOUNT', status: 'TRANSFERRED' }],
+			coOwnerPolicy,
+			() => handleRequest('PUT', transferUrl, removeBody)
+		);
+		return result;
+	});
+}
 
-		await logTransfers(userId, newOwnerId, 'GROUP', allGroupIds);
-	}
+async function transferAccounts(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('ACCOUNT'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
 }
 
-//-----------------------------------------AppDB--------------------------------//
-// Datastore owner cannot be updated
+//---------------------------Jupyter Workspaces---------------------//
 
-async function transferAppDbCollections(userId, newOwnerId, filteredIds = []) {
-	let allCollectionIds = [];
+/**
+ * Get Jupyter workspaces owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Workspaces as { id, name }
+ */
+async function discoverJupyterWorkspaces(userId) {
+	const workspaces = [];
+	let moreData = true;
+	let offset = 0;
+	const limit = 100;
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		allCollectionIds = filteredIds;
-	} else {
-		// Use existing discovery logic
-		let moreData = true;
-		let pageNumber = 1;
-		const pageSize = 100;
-
-		while (moreData) {
-			const data = {
-				collectionFilteringList: [
-					{
-						filterType: 'ownedby',
-						comparingCriteria: 'equals',
-						typedValue: userId
-					}
-				],
-				pageSize: pageSize,
-				pageNumber: pageNumber
-			};
+	while (moreData) {
+		const data = {
+			sortFieldMap: {
+				LAST_RUN: 'DESC'
+			},
+			searchFieldMap: {},
+			filters: [
+				{
+					type: 'OWNER',
+					values: [userId]
+				}
+			],
+			offset: offset,
+			limit: limit
+		};
 
-			const response = await handleRequest(
-				'POST',
-				'/api/datastores/v1/collections/query',
-				data
-			);
+		const response = await handleRequest(
+			'POST',
+			'/api/datascience/v1/search/workspaces',
+			data
+		);
 
-			if (response.collections && response.collections.length > 0) {
-				const collectionIds = response.collections.map(
-					(collection) => collection.id
-				);
-				allCollectionIds.push(...collectionIds);
+		if (response.workspaces && response.workspaces.length > 0) {
+			// Extract ids and append to list
+			const items = response.workspaces.map((workspace) => ({
+				id: workspace.id,
+				name: workspace.name
+			}));
+			workspaces.push(...items);
 
-				// Increment page number to get next page
-				pageNumber++;
+			// Increment offset to get next page
+			offset += limit;
 
-				// If less than pageSize returned, this is the last page
-				if (response.collections.length < pageSize) {
-					moreData = false;
-				}
-			} else {
-				// No more data returned, stop loop
+			// If less than pageSize returned, this is the last page
+			if (response.workspaces.length < limit) {
 				moreData = false;
 			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
 		}
 	}
 
-	if (allCollectionIds.length > 0) {
-		for (let i = 0; i < allCollectionIds.length; i++) {
-			const url = `/api/datastores/v1/collections/${allCollectionIds[i]}`;
-			const body = { id: allCollectionIds[i], owner: newOwnerId };
-			await handleRequest('PUT', url, body);
-		}
-		await logTransfers(userId, newOwnerId, 'COLLECTION', allCollectionIds);
-	}
+	return workspaces;
 }
 
-//--------------------------Functions (Beast Modes and Variables)-------------------------//
-// Need to update to delete Beast Modes on deleted DataSets that have 0 dependencies
-// Helper: verify referenced resources exist; if not, drop links before update
-async function resourceExists(type, id) {
-	try {
-		if (type === 'CARD') {
-			await handleRequest('GET', `/api/content/v1/cards/${id}/details`);
-			return true;
-		}
-		if (type === 'DATA_SOURCE' || type === 'DATASET') {
-			await handleRequest('GET', `/api/data/v3/datasources/${id}`);
-			return true;
-		}
-		// For other types, don't validate here
-		return true;
-	} catch (_err) {
-		return false;
-	}
+async function applyJupyterWorkspaces(ids, userId, newOwnerId) {
+	return await transferEach(ids, 'DATA_SCIENCE_NOTEBOOK', async (id) => {
+		const url = `/api/datascience/v1/workspaces/${id}/ownership`;
+		await handleRequest('PUT', url, { newOwnerId });
+	});
 }
 
-async function sanitizeLinks(links) {
-	if (!Array.isArray(links) || links.length === 0)
-		return { valid: [], invalid: [] };
-	const valid = [];
-	const invalid = [];
-	for (const link of links) {
-		try {
-			const res = link && link.resource ? link.resource : null;
-			if (
-				res &&
-				res.id != null &&
-				(res.type === 'CARD' ||
-					res.type === 'DATA_SOURCE' ||
-					res.type === 'DATASET')
-			) {
-				const exists = await resourceExists(res.type, res.id);
-				if (!exists) {
-					invalid.push(link);
-					continue; // skip invalid references
-				}
-			}
-			valid.push(link);
-		} catch (_e) {
-			// On unexpected shape, drop link
-			invalid.push(link);
-		}
-	}
-	return { valid, invalid };
+async function transferJupyterWorkspaces(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('DATA_SCIENCE_NOTEBOOK'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
 }
-async function transferFunctions(userId, newOwnerId, filteredIds = []) {
-	let allFunctionIds = [];
-
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list - we need to fetch each function individually
-		const bulkUrl = '/api/query/v1/functions/bulk/template';
-		const beastModes = [];
-		const variables = [];
-		const deletedBeastModes = [];
-		const deletedVariables = [];
-
-		for (const functionId of filteredIds) {
-			try {
-				const response = await handleRequest(
-					'GET',
-					`/api/query/v1/functions/template/${functionId}?hidden=true`
-				);
 
-				const originalLinks = response.links;
-				const { valid: validLinks, invalid: invalidLinks } =
-					await sanitizeLinks(originalLinks);
-
-				// Check if any invalid links are visible
-				const hasInvalidVisibleLink = invalidLinks.some(
-					(link) => link.visible === true
-				);
+//------------------------------Code Engine Packages--------------------------//
 
-				// If function has only one link and it's invalid, OR has any invalid visible link, delete the function
-				if (
-					(originalLinks &&
-						originalLinks.length === 1 &&
-						invalidLinks.length === 1 &&
-						validLinks.length === 0) ||
-					hasInvalidVisibleLink
-				) {
-					const deleteUrl = `/api/query/v1/functions/template/${functionId}`;
-					await handleRequest('DELETE', deleteUrl);
-
-					if (response.global === false) {
-						deletedBeastModes.push(functionId);
-					} else {
-						deletedVariables.push(functionId);
-					}
-					continue; // Skip adding to transfer list
-				}
+/**
+ * Get Code Engine packages owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Packages as { id, name, lastModified }
+ */
+async function discoverCodeEnginePackages(userId) {
+	const packages = [];
+	let moreData = true;
+	let offset = 0;
+	const count = 100;
 
-				// Update links individually if there are invalid links to remove
-				if (invalidLinks.length > 0) {
-					const linkUrl = `/api/query/v1/functions/template/${functionId}/links`;
-					const linkBody = {
-						linkTo: validLinks,
-						unlinkFrom: invalidLinks
-					};
-					await handleRequest('POST', linkUrl, linkBody);
+	while (moreData) {
+		const data = {
+			query: '**',
+			entityList: [['package']],
+			count: count,
+			offset: offset,
+			filters: [
+				{
+					field: 'owned_by_id',
+					filterType: 'term',
+					value: `${userId}:USER`
 				}
+			],
+			hideSearchObjects: true,
+			facetValuesToInclude: []
+		};
 
-				const functionData = {
-					id: functionId,
-					owner: newOwnerId,
-					links: validLinks
-				};
+		const response = await handleRequest('POST', '/api/search/v1/query', data);
 
-				if (response.global === false) {
-					beastModes.push(functionData);
-				} else {
-					variables.push(functionData);
-				}
-			} catch (error) {
-				console.error(`Failed to process function ${functionId}:`, error);
+		if (
+			response.searchResultsMap.package &&
+			response.searchResultsMap.package.length > 0
+		) {
+			// Extract ids and append to list
+			const items = response.searchResultsMap.package.map((codeEngine) => ({
+				id: codeEngine.uuid,
+				name: codeEngine.name,
+				lastModified: codeEngine.lastModified
+			}));
+			packages.push(...items);
+
+			// Increment offset to get next page
+			offset += count;
+
+			// If less than pageSize returned, this is the last page
+			if (response.searchResultsMap.package.length < count) {
+				moreData = false;
 			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
 		}
+	}
 
-		// Transfer functions in batches
-		const chunkSize = 100;
-		for (let i = 0; i < beastModes.length; i += chunkSize) {
-			const chunk = beastModes.slice(i, i + chunkSize);
-			await handleRequest('POST', bulkUrl, { update: chunk });
-		}
-		for (let i = 0; i < variables.length; i += chunkSize) {
-			const chunk = variables.slice(i, i + chunkSize);
-			await handleRequest('POST', bulkUrl, { update: chunk });
-		}
-
-		// Log results
-		if (beastModes.length > 0) {
-			await logTransfers(
-				userId,
-				newOwnerId,
-				'BEAST_MODE_FORMULA',
-				beastModes.map((func) => func.id)
-			);
-		}
-		if (variables.length > 0) {
-			await logTransfers(
-				userId,
-				newOwnerId,
-				'VARIABLE',
-				variables.map((func) => func.id)
-			);
-		}
-		if (deletedBeastModes.length > 0) {
-			await logTransfers(
-				userId,
-				newOwnerId,
-				'BEAST_MODE_FORMULA',
-				deletedBeastModes,
-				'DELETED',
-				'Beast Mode was linked to deleted or inaccessible resources'
-			);
-		}
-		if (deletedVariables.length > 0) {
-			await logTransfers(
-				userId,
-				newOwnerId,
-				'VARIABLE',
-				deletedVariables,
-				'DELETED',
-				'Variable was linked to deleted or inaccessible resources'
-			);
-		}
-	} else {
-		// Use existing discovery logic
-		let moreData = true;
-		let offset = 0;
-		const limit = 100;
-		const chunkSize = 100; // Max objects per transfer request
-
-		while (moreData) {
-			const data = {
-				filters: [{ field: 'owner', idList: [userId] }],
-				sort: {
-					field: 'name',
-					ascending: true
-				},
-				limit: limit,
-				offset: offset
-			};
+	return packages;
+}
 
-			const response = await handleRequest(
-				'POST',
-				'/api/query/v1/functions/search',
-				data
-			);
+async function applyCodeEnginePackages(ids, userId, newOwnerId) {
+	return await transferEach(ids, 'CODEENGINE_PACKAGE', async (id) => {
+		const url = `/api/codeengine/v2/packages/${id}`;
+		await handleRequest('PUT', url, { owner: parseInt(newOwnerId) });
+	});
+}
 
-			const bulkUrl = '/api/query/v1/functions/bulk/template';
-			if (response.results && response.results.length > 0) {
-				// Process beast modes
-				const beastModesRaw = response.results.filter(
-					(func) => func.global === false
-				);
-				const beastModes = [];
-				const deletedBeastModes = [];
+async function transferCodeEnginePackages(
+	userId,
+	newOwnerId,
+	filteredIds = []
+) {
+	await runSingleTransfer(
+		getTransferModule('CODEENGINE_PACKAGE'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
 
-				for (const beastMode of beastModesRaw) {
-					const originalLinks = beastMode.links;
-					const { valid: validLinks, invalid: invalidLinks } =
-						await sanitizeLinks(originalLinks);
+//---------------------------------------FileSets--------------------------------------------//
 
-					// Check if any invalid links are visible
-					const hasInvalidVisibleLink = invalidLinks.some(
-						(link) => link.visible === true
-					);
+/**
+ * Get FileSets owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} FileSets as { id, name, lastModified }
+ */
+async function discoverFilesets(userId) {
+	const filesets = [];
+	let moreData = true;
+	let offset = 0;
+	const limit = 100;
 
-					// If function has only one link and it's invalid, OR has any invalid visible link, delete the function
-					if (
-						(originalLinks &&
-							originalLinks.length === 1 &&
-							invalidLinks.length === 1 &&
-							validLinks.length === 0) ||
-						hasInvalidVisibleLink
-					) {
-						const deleteUrl = `/api/query/v1/functions/template/${beastMode.id}`;
-						await handleRequest('DELETE', deleteUrl);
-						deletedBeastModes.push(beastMode.id);
-						continue; // Skip adding to transfer list
-					}
+	const data = {
+		filters: [
+			{
+				field: 'owner',
+				value: [userId],
+				not: false,
+				operator: 'EQUALS'
+			}
+		],
+		fieldSort: [
+			{
+				field: 'updated',
+				order: 'DESC'
+			}
+		],
+		dateFilters: []
+	};
 
-					// Update links individually if there are invalid links to remove
-					if (invalidLinks.length > 0) {
-						const linkUrl = `/api/query/v1/functions/template/${beastMode.id}/links`;
-						const linkBody = {
-							linkTo: validLinks,
-							unlinkFrom: invalidLinks
-						};
-						await handleRequest('POST', linkUrl, linkBody);
-					}
+	while (moreData) {
+		const url = `/api/files/v1/filesets/search?offset=${offset}&limit=${limit}`;
+		const response = await handleRequest('POST', url, data);
 
-					beastModes.push({
-						id: beastMode.id,
-						owner: newOwnerId,
-						links: validLinks
-					});
-				}
+		if (response.filesets && response.filesets.length > 0) {
+			// Extract ids and append to list
+			const items = response.filesets.map((fileset) => ({
+				id: fileset.id,
+				name: fileset.name,
+				lastModified: fileset.updated
+			}));
+			filesets.push(...items);
 
-				// Transfer beast modes in batches of 100
-				for (let i = 0; i < beastModes.length; i += chunkSize) {
-					const chunk = beastModes.slice(i, i + chunkSize);
-					await handleRequest('POST', bulkUrl, { update: chunk });
-				}
+			// Increment offset to get next page
+			offset += limit;
 
-				// Log transferred beast modes
-				if (beastModes.length > 0) {
-					await logTransfers(
-						userId,
-						newOwnerId,
-						'BEAST_MODE_FORMULA',
-						beastModes.map((func) => func.id)
-					);
-				}
+			// If less than pageSize returned, this is the last page
+			if (response.filesets.length < limit) {
+				moreData = false;
+			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
+		}
+	}
 
-				// Log deleted beast modes
-				if (deletedBeastModes.length > 0) {
-					await logTransfers(
-						userId,
-						newOwnerId,
-						'BEAST_MODE_FORMULA',
-						deletedBeastModes,
-						'DELETED',
-						'Beast Mode was linked to deleted or inaccessible resources'
-					);
-				}
+	return filesets;
+}
 
-				// Process variables
-				const variablesRaw = response.results.filter(
-					(func) => func.global === true
-				);
-				const variables = [];
-				const deletedVariables = [];
+async function applyFilesets(ids, userId, newOwnerId) {
+	return await transferEach(ids, 'FILESET', async (id) => {
+		const url = `/api/files/v1/filesets/${id}/ownership`;
+		await handleRequest('POST', url, { userId: parseInt(newOwnerId) });
+	});
+}
 
-				for (const variable of variablesRaw) {
-					const originalLinks = variable.links;
-					const { valid: validLinks, invalid: invalidLinks } =
-						await sanitizeLinks(originalLinks);
+async function transferFilesets(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('FILESET'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
 
-					// Check if any invalid links are visible
-					const hasInvalidVisibleLink = invalidLinks.some(
-						(link) => link.visible === true
-					);
+//--------------------------------------Domo Everywhere Publications------------------------------------------//
 
-					// If function has only one link and it's invalid, OR has any invalid visible link, delete the function
-					if (
-						(originalLinks &&
-							originalLinks.length === 1 &&
-							invalidLinks.length === 1 &&
-							validLinks.length === 0) ||
-						hasInvalidVisibleLink
-					) {
-						const deleteUrl = `/api/query/v1/functions/template/${variable.id}`;
-						await handleRequest('DELETE', deleteUrl);
-						deletedVariables.push(variable.id);
-						continue; // Skip adding to transfer list
-					}
+// The new owner must own all of a publication's content, so publications run after every other type
 
-					// Update links individually if there are invalid links to remove
-					if (invalidLinks.length > 0) {
-						const linkUrl = `/api/query/v1/functions/template/${variable.id}/links`;
-						const linkBody = {
-							linkTo: validLinks,
-							unlinkFrom: invalidLinks
-						};
-						await handleRequest('POST', linkUrl, linkBody);
-					}
+/**
+ * Get Domo Everywhere publications owned by the given user. The list is filtered by the owner in each summary, and a
+ * publication's detail is only fetched when its summary leaves the owner out.
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Publications as { id, name, publication }, where publication is the detail when it was
+ * fetched
+ */
+async function discoverPublications(userId) {
+	const response = await handleRequest('GET', '/api/publish/v2/publications');
+	if (!response || response.length === 0) {
+		return [];
+	}
 
-					variables.push({
-						id: variable.id,
-						owner: newOwnerId,
-						links: validLinks
-					});
-				}
+	const owned = response.filter(
+		(summary) => getPublicationOwnerId(summary) == userId
+	);
+	const unknown = response.filter(
+		(summary) => getPublicationOwnerId(summary) == null
+	);
+	const details = await Promise.all(
+		unknown.map((summary) => getPublication(summary.id))
+	);
 
-				// Transfer variables in batches of 100
-				for (let i = 0; i < variables.length; i += chunkSize) {
-					const chunk = variables.slice(i, i + chunkSize);
-					await handleRequest('POST', bulkUrl, { update: chunk });
-				}
+	return [
+		...owned.map((summary) => ({
+			id: summary.id,
+			name: summary.name || null,
+			publication: null
+		})),
+		...details
+			.filter((publication) => getPublicationOwnerId(publication) == userId)
+			.map((publication) => ({
+				id: publication.id,
+				name: publication.name || null,
+				publication
+			}))
+	];
+}
 
-				// Log transferred variables
-				if (variables.length > 0) {
-					await logTransfers(
-						userId,
-						newOwnerId,
-						'VARIABLE',
-						variables.map((func) => func.id)
-					);
-				}
+function getPublicationOwnerId(publication) {
+	return publication &&
+		publication.content &&
+		publication.content.userId != null
+		? publication.content.userId
+		: null;
+}
 
-				// Log deleted variables
-				if (deletedVariables.length > 0) {
-					await logTransfers(
-						userId,
-						newOwnerId,
-						'VARIABLE',
-						deletedVariables,
-						'DELETED',
-						'Variable was linked to deleted or inaccessible resources'
-					);
-				}
+async function getPublication(publicationId) {
+	return await handleRequest(
+		'GET',
+		`/api/publish/v2/publications/${publicationId}`
+	);
+}
 
-				// Increment offset to get next page
-				offset += limit;
+// Publication content types and the transfer types they correspond to
+const publicationContentTypes = {
+	PAGE: 'PAGE',
+	CARD: 'CARD',
+	DATASET: 'DATA_SOURCE',
+	DATA_SOURCE: 'DATA_SOURCE',
+	DATA_APP: 'DATA_APP'
+};
 
-				moreData = response.hasMore;
-			} else {
-				// No more data returned, stop loop
-				moreData = false;
+/**
+ * Collect every content item in a publication, including nested children
+ *
+ * @param {Object} publication - The publication detail
+ * @returns {Object[]} Content as { type, id }, where type is the publication's own content type
+ */
+function getPublicationContent(publication) {
+	const content = [];
+	const seen = new Set();
+	const collect = (children) => {
+		for (const child of children || []) {
+			if (child.content) {
+				const key = `${child.content.type}:${child.content.domoObjectId}`;
+				if (!seen.has(key)) {
+					seen.add(key);
+					content.push({
+						type: child.content.type,
+						id: child.content.domoObjectId.toString()
+					});
+				}
 			}
+			collect(child.children);
 		}
-	}
+	};
+	collect(publication.children);
+	return content;
 }
 
-//-----------------------------Accounts---------------------//
-
-async function transferAccounts(userId, newOwnerId, filteredIds = []) {
-	let accountIds = [];
-
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		accountIds = filteredIds;
-	} else {
-		// Use existing discovery logic
-		let moreData = true;
-		let offset = 0;
-		const count = 100;
-
-		while (moreData) {
-			const data = {
-				count: count,
-				offset: offset,
-				combineResults: false,
-				hideSearchObjects: true,
-				query: '**',
-				filters: [
-					{
-						filterType: 'term',
-						field: 'owned_by_id',
-						value: userId,
-						name: 'Owned by',
-						not: false
+/**
+ * Look up the user owners of publication content, one bulk request for cards and one request per other object
+ *
+ * @param {Object[]} content - Content as { type, id } from getPublicationContent
+ * @returns {Promise<Map>} User owner IDs keyed by "type:id", with null for content that could not be checked
+ */
+async function getPublicationContentOwners(content) {
+	const ownersByKey = new Map();
+
+	const cardIds = content
+		.filter((item) => publicationContentTypes[item.type] === 'CARD')
+		.map((item) => item.id);
+	const cardOwners =
+		cardIds.length > 0 ? await getCardOwners(cardIds) : new Map();
+
+	await Promise.all(
+		content.map(async (item) => {
+			const key = `${item.type}:${item.id}`;
+			try {
+				switch (publicationContentTypes[item.type]) {
+					case 'CARD':
+						ownersByKey.set(key, getUserOwnerIds(cardOwners.get(item.id)));
+						break;
+					case 'DATA_SOURCE': {
+						const dataset = await handleRequest(
+							'GET',
+							`/api/data/v3/datasources/${item.id}`
+						);
+						ownersByKey.set(
+							key,
+							dataset.owner ? [dataset.owner.id.toString()] : []
+						);
+						break;
 					}
-				],
-				facetValuesToInclude: [],
-				queryProfile: 'GLOBAL',
-				entityList: [['account']]
-			};
+					case 'PAGE': {
+						const page = await handleRequest(
+							'GET',
+							`/api/content/v1/pages/${item.id}`
+						);
+						ownersByKey.set(key, getUserOwnerIds(page.owners));
+						break;
+					}
+					case 'DATA_APP': {
+						const app = await handleRequest(
+							'GET',
+							`/api/content/v1/dataapps/${item.id}`
+						);
+						ownersByKey.set(key, getUserOwnerIds(app.owners));
+						break;
+					}
+					default:
+						ownersByKey.set(key, null);
+				}
+			} catch (error) {
+				ownersByKey.set(key, null);
+			}
+		})
+	);
 
-			const response = await handleRequest(
-				'POST',
-				'/api/search/v1/query',
-				data
-			);
-			if (
-				response.searchResultsMap &&
-				response.searchResultsMap.account.length > 0
-			) {
-				// Extract ids and append to list
-				const ids = response.searchResultsMap.account.map(
-					(account) => account.databaseId
-				);
-				accountIds.push(...ids);
+	return ownersByKey;
+}
 
-				// Increment offset to get next page
-				offset += count;
+async function applyPublications(ids, userId, newOwnerId, discovered = {}) {
+	const publications = await Promise.all(
+		ids.map(async (id) =>
+			discovered[id] && discovered[id].publication
+				? discovered[id].publication
+				: await getPublication(id)
+		)
+	);
 
-				// If less than pageSize returned, this is the last page
-				if (response.searchResultsMap.account.length < count) {
-					moreData = false;
-				}
-			} else {
-				// No more data returned, stop loop
-				moreData = false;
-			}
+	// Content shared between publications is only checked once
+	const contentByKey = new Map();
+	for (const publication of publications) {
+		for (const item of getPublicationContent(publication)) {
+			contentByKey.set(`${item.type}:${item.id}`, item);
 		}
 	}
+	const ownersByKey = await getPublicationContentOwners([
+		...contentByKey.values()
+	]);
 
-	if (accountIds.length > 0) {
-		for (let i = 0; i < accountIds.length; i++) {
-			const transferUrl = `/api/data/v2/accounts/share/${accountIds[i]}`;
-			const addBody = { type: 'USER', id: newOwnerId, accessLevel: 'OWNER' };
-			await handleRequest('PUT', transferUrl, addBody);
+	return await transferEach(ids, 'PUBLICATION', async (id) => {
+		const publication = publications[ids.indexOf(id)];
+		const ownerId = getPublicationOwnerId(publication);
+		if (ownerId != userId) {
+			return notOwnerResult(id, 'PUBLICATION', ownerId);
+		}
 
-			// Removed because their access will be removed when they are deleted
-			// const removeBody = { type: 'USER', id: userId, accessLevel: 'NONE' };
-			// await handleRequest('PUT', transferUrl, removeBody);
+		const blocking = getPublicationContent(publication).filter((item) => {
+			const ownerIds = ownersByKey.get(`${item.type}:${item.id}`);
+			return !ownerIds || !ownerIds.some((ownerId) => ownerId == newOwnerId);
+		});
+		if (blocking.length > 0) {
+			return {
+				id,
+				type: 'PUBLICATION',
+				status: 'NOT_TRANSFERRED',
+				notes: `The new owner does not own ${blocking
+					.map((item) => `${item.type} ${item.id}`)
+					.join(', ')}`
+			};
 		}
 
-		await logTransfers(userId, newOwnerId, 'ACCOUNT', accountIds);
-	}
+		const url = `/api/publish/v2/publications/${id}`;
+		const body = {
+			...publication,
+			content: { ...publication.content, userId: parseInt(newOwnerId) }
+		};
+		await handleRequest('PUT', url, body);
+	});
 }
 
-//---------------------------Jupyter Workspaces---------------------//
+async function transferPublications(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('PUBLICATION'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
 
-async function transferJupyterWorkspaces(userId, newOwnerId, filteredIds = []) {
-	let jupyterWorkspaceIds = [];
+//-------------------------------------Domo Everywhere Subscriptions-----------------------------------------//
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		jupyterWorkspaceIds = filteredIds;
-	} else {
-		// Use existing discovery logic
-		let moreData = true;
-		let offset = 0;
-		const limit = 100;
-
-		while (moreData) {
-			const data = {
-				sortFieldMap: {
-					LAST_RUN: 'DESC'
-				},
-				searchFieldMap: {},
-				filters: [
-					{
-						type: 'OWNER',
-						values: [userId]
-					}
-				],
-				offset: offset,
-				limit: limit
-			};
+/**
+ * Get Domo Everywhere subscriptions owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Subscriptions as { id, name }
+ */
+async function discoverSubscriptions(userId) {
+	const limit = 40;
+	let offset = 0;
+	let moreData = true;
+	let subscriptions = [];
 
-			const response = await handleRequest(
-				'POST',
-				'/api/datascience/v1/search/workspaces',
-				data
-			);
+	while (moreData) {
+		const url = 'api/publish/v2/subscriptions/summaries';
+		const response = await handleRequest('GET', url);
 
-			if (response.workspaces && response.workspaces.length > 0) {
-				// Extract ids and append to list
-				const ids = response.workspaces.map((workspace) => workspace.id);
-				jupyterWorkspaceIds.push(...ids);
+		if (response && response.length > 0) {
+			subscriptions.push(...response);
 
-				// Increment offset to get next page
-				offset += limit;
+			// Increment offset to get next page
+			offset += limit;
 
-				// If less than pageSize returned, this is the last page
-				if (response.workspaces.length < limit) {
-					moreData = false;
-				}
-			} else {
-				// No more data returned, stop loop
+			// If less than limit returned, this is the last page
+			if (response.length < limit) {
 				moreData = false;
 			}
+		} else {
+			moreData = false;
 		}
 	}
 
-	if (jupyterWorkspaceIds.length > 0) {
-		for (let i = 0; i < jupyterWorkspaceIds.length; i++) {
-			const url = `/api/datascience/v1/workspaces/${jupyterWorkspaceIds[i]}/ownership`;
-			await handleRequest('PUT', url, { newOwnerId });
+	const owned = [];
+	for (let i = 0; i < subscriptions.length; i++) {
+		const subscriptionUrl = `api/publish/v2/subscriptions/${subscriptions[i].subscriptionId}/share`;
+		const subscription = await handleRequest('GET', subscriptionUrl);
+
+		if (subscription.userId == userId) {
+			owned.push({
+				id: subscription.subscription.id,
+				name: subscriptions[i].publicationName || null
+			});
 		}
-		await logTransfers(
-			userId,
-			newOwnerId,
-			'DATA_SCIENCE_NOTEBOOK',
-			jupyterWorkspaceIds
-		);
 	}
-}
-
-//------------------------------Code Engine Packages--------------------------//
 
-async function transferCodeEnginePackages(
-	userId,
-	newOwnerId,
-	filteredIds = []
-) {
-	let codeEnginePackageIds = [];
+	return owned;
+}
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		codeEnginePackageIds = filteredIds;
-	} else {
-		// Use existing discovery logic
-		let moreData = true;
-		let offset = 0;
-		const count = 100;
-
-		while (moreData) {
-			const data = {
-				query: '**',
-				entityList: [['package']],
-				count: count,
-				offset: offset,
-				filters: [
-					{
-						field: 'owned_by_id',
-						filterType: 'term',
-						value: `${userId}:USER`
-					}
-				],
-				hideSearchObjects: true,
-				facetValuesToInclude: []
-			};
+async function applySubscriptions(ids, userId, newOwnerId) {
+	return await transferEach(ids, 'SUBSCRIPTION', async (subscriptionId) => {
+		const subscriptionUrl = `api/publish/v2/subscriptions/${subscriptionId}/share`;
+		const subscription = await handleRequest('GET', subscriptionUrl);
 
-			const response = await handleRequest(
-				'POST',
-				'/api/search/v1/query',
-				data
+		if (subscription.userId != userId) {
+			return notOwnerResult(
+				subscriptionId,
+				'SUBSCRIPTION',
+				subscription.userId
 			);
-
-			if (
-				response.searchResultsMap.package &&
-				response.searchResultsMap.package.length > 0
-			) {
-				// Extract ids and append to list
-				const ids = response.searchResultsMap.package.map(
-					(codeEngine) => codeEngine.uuid
-				);
-				codeEnginePackageIds.push(...ids);
-
-				// Increment offset to get next page
-				offset += count;
-
-				// If less than pageSize returned, this is the last page
-				if (response.searchResultsMap.package.length < count) {
-					moreData = false;
-				}
-			} else {
-				// No more data returned, stop loop
-				moreData = false;
-			}
 		}
-	}
 
-	if (codeEnginePackageIds.length > 0) {
-		for (let i = 0; i < codeEnginePackageIds.length; i++) {
-			const url = `/api/codeengine/v2/packages/${codeEnginePackageIds[i]}`;
-			await handleRequest('PUT', url, { owner: parseInt(newOwnerId) });
-		}
-		await logTransfers(
-			userId,
-			newOwnerId,
-			'CODEENGINE_PACKAGE',
-			codeEnginePackageIds
-		);
-	}
+		const url = `/api/publish/v2/subscriptions/${subscription.subscription.id}`;
+		const body = {
+			publicationId: subscription.subscription.publicationId,
+			domain: subscription.subscription.domain,
+			customerId: subscription.subscription.customerId,
+			userId: newOwnerId,
+			userIds: subscription.shareUsers,
+			groupIds: subscription.shareGroups
+		};
+		await handleRequest('PUT', url, body);
+		return {
+			id: subscription.subscription.id,
+			type: 'SUBSCRIPTION',
+			status: 'TRANSFERRED'
+		};
+	});
 }
 
-//---------------------------------------FileSets--------------------------------------------//
+async function transferSubscriptions(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('SUBSCRIPTION'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
 
-async function transferFilesets(userId, newOwnerId, filteredIds = []) {
-	let filesetIds = [];
+//--------------------------------------------------Sandbox Repositories---------------------------------//
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		filesetIds = filteredIds;
-	} else {
-		// Use existing discovery logic
-		let moreData = true;
-		let offset = 0;
-		const limit = 100;
+/**
+ * Get Sandbox repositories owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Repositories as { id, name }
+ */
+async function discoverRepositories(userId) {
+	const repositories = [];
+	const limit = 50;
+	let offset = 0;
+	let moreData = true;
 
+	while (moreData) {
 		const data = {
-			filters: [
-				{
-					field: 'owner',
-					value: [userId],
-					not: false,
-					operator: 'EQUALS'
-				}
-			],
-			fieldSort: [
-				{
-					field: 'updated',
-					order: 'DESC'
-				}
-			],
-			dateFilters: []
+			query: {
+				offset: offset,
+				limit: limit,
+				fieldSearchMap: {},
+				sort: 'lastCommit',
+				order: 'desc',
+				filters: { userId: [userId] },
+				dateFilters: {}
+			}
 		};
 
-		while (moreData) {
-			const url = `/api/files/v1/filesets/search?offset=${offset}&limit=${limit}`;
-			const response = await handleRequest('POST', url, data);
+		const response = await handleRequest(
+			'POST',
+			'/api/version/v1/repositories/search',
+			data
+		);
 
-			if (response.filesets && response.filesets.length > 0) {
-				// Extract ids and append to list
-				const ids = response.filesets.map((fileset) => fileset.id);
-				filesetIds.push(...ids);
+		if (response.repositories && response.repositories.length > 0) {
+			// Extract ids and append to list
+			const items = response.repositories.map((repository) => ({
+				id: repository.id,
+				name: repository.name
+			}));
+			repositories.push(...items);
 
-				// Increment offset to get next page
-				offset += limit;
+			// Increment offset to get next page
+			offset += limit;
 
-				// If less than pageSize returned, this is the last page
-				if (response.filesets.length < limit) {
-					moreData = false;
-				}
-			} else {
-				// No more data returned, stop loop
+			// If less than pageSize returned, this is the last page
+			if (response.repositories.length < limit) {
 				moreData = false;
 			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
 		}
 	}
 
-	if (filesetIds.length > 0) {
-		for (let i = 0; i < filesetIds.length; i++) {
-			const url = `/api/files/v1/filesets/${filesetIds[i]}/ownership`;
-			await handleRequest('POST', url, { userId: parseInt(newOwnerId) });
-		}
-		await logTransfers(userId, newOwnerId, 'FILESET', filesetIds);
-	}
+	return repositories;
 }
 
-//--------------------------------------Domo Everywhere Publications------------------------------------------//
-
-// Limitation the new owner must be an owner of all the content
-// Just get a list of publications for the manager to review
-
-async function getPublications(userId, newOwnerId) {
-	let publications = [];
-	const url = '/api/publish/v2/publications';
-
-	const response = await handleRequest('GET', url);
-	if (response && response.length > 0) {
-		for (let i = 0; i < response.length; i++) {
-			const publicationId = response[i].id;
-			const publicationUrl = `/api/publish/v2/publications/${publicationId}`;
-			const response2 = await handleRequest('GET', publicationUrl);
-			if (response2.content.userId == userId) {
-				publications.push(publicationId);
+async function applyRepositories(
+	ids,
+	userId,
+	newOwnerId,
+	discovered = {},
+	coOwnerPolicy = 'REPLACE'
+) {
+	return await transferEach(ids, 'REPOSITORY', async (id) => {
+		const url = `/api/version/v1/repositories/${id}/permissions`;
+		if (coOwnerPolicy === 'SKIP_IF_OTHER_OWNER_EXISTS') {
+			const permissions = await handleRequest('GET', url);
+			const ownerIds = (permissions || [])
+				.filter((permission) => permission.permission === 'OWNER')
+				.map((permission) => permission.userId);
+			const { skipped } = filterCoOwned(
+				[id],
+				'REPOSITORY',
+				userId,
+				coOwnerPolicy,
+				() => ownerIds
+			);
+			if (skipped.length > 0) {
+				await handleRequest('POST', url, {
+					repositoryPermissionUpdates: [{ userId: userId, permission: 'NONE' }]
+				});
+				return skipped[0];
 			}
 		}
-	}
 
-	await logTransfers(
-		userId,
-		newOwnerId,
-		'PUBLICATION',
-		publications,
-		'NOT_TRANSFERRED',
-		'Publications cannot be transferred as the new owner must be an owner of all the content'
+		await handleRequest('POST', url, {
+			repositoryPermissionUpdates: [{ userId: newOwnerId, permission: 'OWNER' }]
+		});
+
+		// The user is removed separately, so a failure there does not hide that the new owner was added
+		const [result] = await removePreviousOwner(
+			[{ id, type: 'REPOSITORY', status: 'TRANSFERRED' }],
+			coOwnerPolicy,
+			() =>
+				handleRequest('POST', url, {
+					repositoryPermissionUpdates: [{ userId: userId, permission: 'NONE' }]
+				})
+		);
+		return result;
+	});
+}
+
+async function transferRepositories(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('REPOSITORY'),
+		createRun(userId, newOwnerId),
+		filteredIds
 	);
 }
 
-//-------------------------------------Domo Everywhere Subscriptions-----------------------------------------//
+//-----------------------------------------Approvals--------------------------------------//
 
-async function transferSubscriptions(userId, newOwnerId, filteredIds = []) {
-	let subscriptionIds = [];
+const approvalSearchQuery =
+	'query getFilteredRequests($query: QueryRequest!, $after: ID, $reverseSort: Boolean) {\n  workflowSearch(query: $query, type: "AC", after: $after, reverseSort: $reverseSort) {\n    edges {\n      cursor\n      node {\n        approval {\n          id\n          title\n          templateTitle\n          status\n          modifiedTime\n          version\n          providerName\n          approvalChainIdx\n          pendingApprover: pendingApproverEx {\n            id\n            type\n            displayName\n            ... on User {\n              title\n              avatarKey\n              __typename\n            }\n            ... on Group {\n              isDeleted\n              __typename\n            }\n            __typename\n          }\n          submitter {\n            id\n            type\n            displayName\n            avatarKey\n            isCurrentUser\n            __typename\n          }\n          __typename\n        }\n        __typename\n      }\n      __typename\n    }\n    pageInfo {\n      hasNextPage\n      hasPreviousPage\n      startCursor\n      endCursor\n      __typename\n    }\n    __typename\n  }\n}\n';
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		for (const subscriptionId of filteredIds) {
-			try {
-				const subscriptionUrl = `api/publish/v2/subscriptions/${subscriptionId}/share`;
-				const subscription = await handleRequest('GET', subscriptionUrl);
-
-				if (subscription.userId == userId) {
-					const url = `/api/publish/v2/subscriptions/${subscription.subscription.id}`;
-					const body = {
-						publicationId: subscription.subscription.publicationId,
-						domain: subscription.subscription.domain,
-						customerId: subscription.subscription.customerId,
-						userId: newOwnerId,
-						userIds: subscription.shareUsers,
-						groupIds: subscription.shareGroups
-					};
-					await handleRequest('PUT', url, body);
-					subscriptionIds.push(subscription.subscription.id);
-				}
-			} catch (error) {
-				console.error(
-					`Failed to transfer subscription ${subscriptionId}:`,
-					error
-				);
-			}
-		}
-	} else {
-		// Use existing discovery logic
-		const limit = 40;
-		let offset = 0;
-		let moreData = true;
-		let subscriptions = [];
+// The statuses of active approvals, the only ones that can still be handed over
+const activeApprovalStatuses = ['PENDING', 'SENTBACK'];
 
-		while (moreData) {
-			const url = 'api/publish/v2/subscriptions/summaries';
-			const response = await handleRequest('GET', url);
+/**
+ * Search active approvals, following the cursor through every page of results
+ *
+ * @param {Object} filter - The submitterId or approverId to search by
+ * @returns {Promise<Object[]>} The approvals from workflowSearch
+ */
+async function searchApprovals(filter) {
+	const url = '/api/synapse/approval/graphql';
+	const approvals = [];
+	let after = null;
+	let moreData = true;
 
-			if (response && response.length > 0) {
-				subscriptions.push(...response);
+	while (moreData) {
+		const data = {
+			operationName: 'getFilteredRequests',
+			variables: {
+				query: {
+					active: true,
+					submitterId: null,
+					approverId: null,
+					templateId: null,
+					title: null,
+					lastModifiedBefore: null,
+					...filter
+				},
+				after,
+				reverseSort: false
+			},
+			query: approvalSearchQuery
+		};
 
-				// Increment offset to get next page
-				offset += limit;
+		const response = await handleRequest('POST', url, data);
+		const { edges, pageInfo } = response.data.workflowSearch;
+		approvals.push(...edges.map((edge) => edge.node.approval));
 
-				// If less than limit returned, this is the last page
-				if (response.length < limit) {
-					moreData = false;
-				}
-			} else {
-				moreData = false;
-			}
-		}
+		after = pageInfo.endCursor;
+		moreData = pageInfo.hasNextPage && edges.length > 0;
+	}
 
-		for (let i = 0; i < subscriptions.length; i++) {
-			const subscriptionUrl = `api/publish/v2/subscriptions/${subscriptions[i].subscriptionId}/share`;
-			const subscription = await handleRequest('GET', subscriptionUrl);
+	return approvals;
+}
 
-			if (subscription.userId == userId) {
-				subscriptionIds.push(subscription.subscription.id);
-				const url = `/api/publish/v2/subscriptions/${subscription.subscription.id}`;
-				const body = {
-					publicationId: subscription.subscription.publicationId,
-					domain: subscription.subscription.domain,
-					customerId: subscription.subscription.customerId,
-					userId: newOwnerId,
-					userIds: subscription.shareUsers,
-					groupIds: subscription.shareGroups
-				};
-				await handleRequest('PUT', url, body);
+/**
+ * Get active approvals pending on or submitted by the given user
+ *
+ * @param {string} userId - The ID of the approver or submitter to search for.
+ * @returns {Promise<Object[]>} Approvals as { id, name, lastModified, status, version, submitter, roles }, where roles
+ * holds APPROVER and/or SUBMITTER
+ */
+async function discoverApprovals(userId) {
+	const approvals = new Map();
+	const addApprovals = (found, role) => {
+		for (const approval of found) {
+			if (!approvals.has(approval.id)) {
+				approvals.set(approval.id, toApprovalItem(approval, []));
 			}
+			approvals.get(approval.id).roles.push(role);
 		}
-	}
+	};
 
-	if (subscriptionIds.length > 0) {
-		await logTransfers(userId, newOwnerId, 'SUBSCRIPTION', subscriptionIds);
-	}
+	addApprovals(await searchApprovals({ approverId: userId }), 'APPROVER');
+	addApprovals(await searchApprovals({ submitterId: userId }), 'SUBMITTER');
+
+	return [...approvals.values()];
 }
 
-//--------------------------------------------------Sandbox Repositories---------------------------------//
+function toApprovalItem(approval, roles) {
+	return {
+		id: approval.id,
+		name: approval.title,
+		lastModified: approval.modifiedTime,
+		status: approval.status,
+		version: approval.version,
+		submitter: approval.submitter,
+		roles
+	};
+}
 
-async function transferRepositories(userId, newOwnerId, filteredIds = []) {
-	let repositoryIds = [];
+/**
+ * Look up an approval passed by ID, working out the user's part in it from its submitter and pending approver
+ *
+ * @param {string} id - The approval ID
+ * @param {string} userId - The ID of the user being offboarded
+ * @returns {Promise<Object|null>} The approval as discoverApprovals returns it, or null if it does not exist
+ */
+async function getApproval(id, userId) {
+	const url = '/api/synapse/approval/graphql';
+	const data = {
+		operationName: 'getApproval',
+		variables: { id },
+		query:
+			'query getApproval($id: ID!) {\n  approval(id: $id) {\n    id\n    title\n    status\n    modifiedTime\n    version\n    pendingApprover: pendingApproverEx {\n      id\n      type\n      __typename\n    }\n    submitter {\n      id\n      displayName\n      __typename\n    }\n    __typename\n  }\n}\n'
+	};
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		repositoryIds = filteredIds;
-	} else {
-		// Use existing discovery logic
-		const limit = 50;
-		let offset = 0;
-		let moreData = true;
+	const response = await handleRequest('POST', url, data);
+	const approval = response.data.approval;
+	if (!approval) {
+		return null;
+	}
 
-		while (moreData) {
-			const data = {
-				query: {
-					offset: offset,
-					limit: limit,
-					fieldSearchMap: {},
-					sort: 'lastCommit',
-					order: 'desc',
-					filters: { userId: [userId] },
-					dateFilters: {}
-				}
-			};
+	const roles = [];
+	if (approval.pendingApprover && approval.pendingApprover.id == userId) {
+		roles.push('APPROVER');
+	}
+	if (approval.submitter && approval.submitter.id == userId) {
+		roles.push('SUBMITTER');
+	}
+	return toApprovalItem(approval, roles);
+}
 
-			const response = await handleRequest(
-				'POST',
-				'/api/version/v1/repositories/search',
-				data
-			);
+async function applyApprovals(ids, userId, newOwnerId, discovered = {}) {
+	const results = [];
 
-			if (response.repositories && response.repositories.length > 0) {
-				// Extract ids and append to list
-				const ids = response.repositories.map((repository) => repository.id);
-				repositoryIds.push(...ids);
+	// Approvals passed by ID are looked up, and the lookups join the discovered ones
+	await Promise.all(
+		ids
+			.filter((id) => !discovered[id])
+			.map(async (id) => {
+				try {
+					const approval = await getApproval(id, userId);
+					if (!approval) {
+						results.push({
+							id,
+							type: 'APPROVAL',
+							status: 'NOT_FOUND',
+							notes: null
+						});
+					} else if (approval.roles.length === 0) {
+						results.push(
+							notOwnerResult(
+								id,
+								'APPROVAL',
+								approval.submitter ? approval.submitter.id : null
+							)
+						);
+					} else {
+						discovered[id] = approval;
+					}
+				} catch (error) {
+					results.push(errorResult(id, 'APPROVAL', error));
+				}
+			})
+	);
 
-				// Increment offset to get next page
-				offset += limit;
+	// Each approval gets one update and one result, even when the user is both its approver and its submitter
+	const transferIds = [];
+	for (const id of ids) {
+		const approval = discovered[id];
+		if (!approval) {
+			continue;
+		}
 
-				// If less than pageSize returned, this is the last page
-				if (response.repositories.length < limit) {
-					moreData = false;
-				}
-			} else {
-				// No more data returned, stop loop
-				moreData = false;
-			}
+		// Approvals passed by ID are held to the same active statuses discovery searches for
+		const isApprover = approval.roles.includes('APPROVER');
+		const isSubmitter = approval.roles.includes('SUBMITTER');
+		if (!activeApprovalStatuses.includes(approval.status)) {
+			results.push({
+				id,
+				type: 'APPROVAL',
+				status: 'NOT_TRANSFERRED',
+				notes: `The approval is ${approval.status}`
+			});
+		} else if (isSubmitter || (isApprover && approval.status === 'PENDING')) {
+			transferIds.push(id);
+		} else {
+			results.push(sentBackResult(approval));
 		}
 	}
 
-	if (repositoryIds.length > 0) {
-		for (let i = 0; i < repositoryIds.length; i++) {
-			const url = `/api/version/v1/repositories/${repositoryIds[i]}/permissions`;
+	const transferred = await transferEach(
+		transferIds,
+		'APPROVAL',
+		async (id) => {
+			const approval = discovered[id];
+			const replaceApprover =
+				approval.roles.includes('APPROVER') && approval.status === 'PENDING';
+			if (replaceApprover) {
+				await replaceApprovalApprover(
+					approval.id,
+					approval.version,
+					newOwnerId
+				);
+			}
+			if (!approval.roles.includes('SUBMITTER')) {
+				return null;
+			}
 
-			const body = {
-				repositoryPermissionUpdates: [
-					{
-						userId: newOwnerId,
-						permission: 'OWNER'
-					},
-					{
-						userId: userId,
-						permission: 'NONE'
-					}
-				]
-			};
+			// Replacing the approver changed the version the submitter update has to match
+			const version = replaceApprover
+				? (await getApproval(approval.id, userId)).version
+				: approval.version;
+			await replaceApprovalSubmitter(approval.id, version, newOwnerId);
 
-			await handleRequest('POST', url, body);
+			// The user is also the approver it will come back to, so that still waits on the resubmission
+			if (
+				approval.roles.includes('APPROVER') &&
+				approval.status === 'SENTBACK'
+			) {
+				return {
+					...sentBackResult(approval),
+					notes:
+						'Transferred as the submitter; the approver is replaced once the new owner resubmits'
+				};
+			}
+			return {
+				id,
+				type: 'APPROVAL',
+				status: 'TRANSFERRED',
+				notes: replaceApprover
+					? 'Transferred as the approver and the submitter'
+					: 'Transferred as the submitter'
+			};
 		}
-		await logTransfers(userId, newOwnerId, 'REPOSITORY', repositoryIds);
-	}
-}
+	);
 
-//-----------------------------------------Approvals--------------------------------------//
+	return [...results, ...transferred];
+}
 
-async function transferApprovals(userId, newOwnerId) {
-	// Use existing discovery logic
-	const url = '/api/synapse/approval/graphql';
+// A sent back approval waits on its submitter and comes back to the user once it is resubmitted
+function sentBackResult(approval) {
+	const submitter = approval.submitter
+		? `${approval.submitter.displayName} (${approval.submitter.id})`
+		: 'the submitter';
+	return {
+		id: approval.id,
+		type: 'APPROVAL',
+		status: 'SENT_BACK',
+		notes: `Waiting on ${submitter} to resubmit`
+	};
+}
 
-	const data = {
-		operationName: 'getFilteredRequests',
+async function replaceApprovalApprover(approvalId, version, newOwnerId) {
+	const transferBody = {
+		operationName: 'replaceApprovers',
 		variables: {
-			query: {
-				active: true,
-				submitterId: null,
-				approverId: userId,
-				templateId: null,
-				title: null,
-				lastModifiedBefore: null
-			},
-			after: null,
-			reverseSort: false
+			actedOnApprovals: [
+				{
+					id: approvalId,
+					version
+				}
+			],
+			newApproverId: newOwnerId,
+			newApproverType: 'PERSON'
 		},
 		query:
-			'query getFilteredRequests($query: QueryRequest!, $after: ID, $reverseSort: Boolean) {\n  workflowSearch(query: $query, type: "AC", after: $after, reverseSort: $reverseSort) {\n    edges {\n      cursor\n      node {\n        approval {\n          id\n          title\n          templateTitle\n          status\n          modifiedTime\n          version\n          providerName\n          approvalChainIdx\n          pendingApprover: pendingApproverEx {\n            id\n            type\n            displayName\n            ... on User {\n              title\n              avatarKey\n              __typename\n            }\n            ... on Group {\n              isDeleted\n              __typename\n            }\n            __typename\n          }\n          submitter {\n            id\n            type\n            displayName\n            avatarKey\n            isCurrentUser\n            __typename\n          }\n          __typename\n        }\n        __typename\n      }\n      __typename\n    }\n    pageInfo {\n      hasNextPage\n      hasPreviousPage\n      startCursor\n      endCursor\n      __typename\n    }\n    __typename\n  }\n}\n'
+			'mutation replaceApprovers($actedOnApprovals: [ActedOnApprovalInput!]!, $newApproverId: ID!, $newApproverType: ApproverType) {\n  bulkReplaceApprover(actedOnApprovals: $actedOnApprovals, newApproverId: $newApproverId, newApproverType: $newApproverType) {\n    id\n    __typename\n  }\n}\n'
 	};
 
-	const response = await handleRequest('POST', url, data);
-	const responseApprovals = response.data.workflowSearch.edges;
+	await handleRequest('POST', '/api/synapse/approval/graphql', transferBody);
+}
 
-	const pendingApprovals = responseApprovals.filter(
-		(approval) => approval.node.approval.status === 'PENDING'
-	);
+// The submitter can still resubmit, withdraw or comment, so their requests move to the new owner too
+async function replaceApprovalSubmitter(approvalId, version, newOwnerId) {
+	const transferBody = {
+		operationName: 'replaceSubmitter',
+		variables: {
+			actedOnApprovals: [
+				{
+					id: approvalId,
+					version
+				}
+			],
+			newSubmitterId: newOwnerId
+		},
+		query:
+			'mutation replaceSubmitter($actedOnApprovals: [ActedOnApprovalInput!]!, $newSubmitterId: ID!) {\n  bulkReplaceSubmitter(actedOnApprovals: $actedOnApprovals, newSubmitterId: $newSubmitterId) {\n    id\n    __typename\n  }\n}\n'
+	};
+
+	await handleRequest('POST', '/api/synapse/approval/graphql', transferBody);
+}
 
-	const sentBackApprovals = responseApprovals.filter(
-		(approval) => approval.node.approval.status === 'SENTBACK'
+async function transferApprovals(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('APPROVAL'),
+		createRun(userId, newOwnerId),
+		filteredIds
 	);
+}
 
-	for (let i = 0; i < pendingApprovals.length; i++) {
-		if (pendingApprovals[i].node.approval.status == 'PENDING') {
-			const approvalId = pendingApprovals[i].node.approval.id;
-			const version = pendingApprovals[i].node.approval.version;
+/**
+ * Finish transferring approvals that were sent back when the user was offboarded. Each one whose newest log row is
+ * SENT_BACK is looked up again, and once it has been resubmitted it goes to the new owner it was logged with, under
+ * its original run. Meant to be scheduled until nothing is left waiting.
+ *
+ * @param {number} userId - The ID of the offboarded user
+ * @returns {Promise<Object>} A summary of the approvals handled (see summarizeResults), and the IDs of those still
+ * waiting on their submitter as waiting
+ */
+async function transferSentBackApprovals(userId) {
+	const startTime = Date.now();
+	const rows = (await readLogRows('userId', userId))
+		.filter((row) => row.type === 'APPROVAL')
+		.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+	const latest = new Map();
+	for (const row of rows) {
+		if (!latest.has(row.id)) {
+			latest.set(row.id, row);
+		}
+	}
 
-			const transferBody = {
-				operationName: 'replaceApprovers',
-				variables: {
-					actedOnApprovals: [
-						{
-							id: approvalId,
-							version: version
-						}
-					],
-					newApproverId: newOwnerId,
-					newApproverType: 'PERSON'
-				},
-				query:
-					'mutation replaceApprovers($actedOnApprovals: [ActedOnApprovalInput!]!, $newApproverId: ID!, $newApproverType: ApproverType) {\n  bulkReplaceApprover(actedOnApprovals: $actedOnApprovals, newApproverId: $newApproverId, newApproverType: $newApproverType) {\n    id\n    __typename\n  }\n}\n'
-			};
+	// Resubmitted approvals are grouped by the run and new owner they were logged with
+	const groups = new Map();
+	const waiting = [];
+	await Promise.all(
+		[...latest.values()]
+			.filter((row) => row.status === 'SENT_BACK')
+			.map(async (row) => {
+				// An approval that cannot be looked up now is tried again on the next run
+				let approval;
+				try {
+					approval = await getApproval(row.id, userId);
+				} catch (error) {
+					console.error(`Failed to look up approval ${row.id}:`, error.message);
+					waiting.push(row.id);
+					return;
+				}
+				if (approval && approval.status === 'SENTBACK') {
+					waiting.push(row.id);
+					return;
+				}
+				const key = `${row.runId}:${row.newOwnerId}`;
+				if (!groups.has(key)) {
+					groups.set(key, { row, ids: [] });
+				}
+				groups.get(key).ids.push(row.id);
+			})
+	);
 
-			await handleRequest('POST', url, transferBody);
+	const results = [];
+	try {
+		for (const { row, ids } of groups.values()) {
+			// Log rows come back with numbers as strings
+			const run = createRun(userId, parseInt(row.newOwnerId), {}, row.runId);
+			results.push(
+				...(await runTransfer(getTransferModule('APPROVAL'), run, ids))
+			);
 		}
+	} finally {
+		await flushLogSinks();
 	}
 
-	if (pendingApprovals.length > 0) {
-		await logTransfers(
-			userId,
-			newOwnerId,
-			'APPROVAL',
-			pendingApprovals.map((approval) => approval.node.approval.id)
-		);
-	}
+	return { ...summarizeResults(results, Date.now() - startTime), waiting };
+}
 
-	if (sentBackApprovals.length > 0) {
-		await logTransfers(
-			userId,
-			newOwnerId,
-			'APPROVAL',
-			sentBackApprovals.map((approval) => approval.node.approval.id),
-			'NOT_TRANSFERRED',
-			'Transferring of sent back approvals is not supported'
+//-----------------------------------------Approval Templates--------------------------------------//
+
+/**
+ * Search every approval template, following the cursor through every page of results
+ *
+ * @returns {Promise<Object[]>} Templates as { id, title, owner, approvers }
+ */
+async function searchApprovalTemplates() {
+	const url = '/api/synapse/approval/graphql';
+	const templates = [];
+	let after = null;
+	let moreData = true;
+
+	while (moreData) {
+		const searchTemplatesBody = {
+			operationName: 'getFilteredTemplates',
+			variables: {
+				first: 100,
+				after,
+				orderBy: 'TEMPLATE',
+				reverseSort: false,
+				query: {
+					type: 'AC',
+					searchTerm: '',
+					category: [],
+					ownerId: null,
+					publishedOnly: false
+				}
+			},
+			query: `query getFilteredTemplates(
+			  $first: Int
+			  $after: ID
+			  $orderBy: OrderBy
+			  $reverseSort: Boolean
+			  $query: TemplateQueryRequest!
+			) {
+			  templateConnection(
+			    first: $first
+			    after: $after
+			    orderBy: $orderBy
+			    reverseSort: $reverseSort
+			    query: $query
+			  ) {
+			    edges {
+			      cursor
+			      node {
+			        id
+			        title
+			        owner {
+			          id
+			        }
+			        approvers {
+			          type
+			          ... on ApproverPerson {
+			            approverId
+			          }
+			        }
+			      }
+			    }
+			    pageInfo {
+			      hasNextPage
+			      hasPreviousPage
+			      startCursor
+			      endCursor
+			    }
+			  }
+			}`
+		};
+
+		const searchTemplatesResponse = await handleRequest(
+			'POST',
+			url,
+			searchTemplatesBody
 		);
+		const { edges, pageInfo } = searchTemplatesResponse.data.templateConnection;
+		templates.push(...edges.map((edge) => edge.node));
+
+		after = pageInfo.endCursor;
+		moreData = pageInfo.hasNextPage && edges.length > 0;
 	}
+
+	return templates;
 }
 
-//-----------------------------------------Approval Templates--------------------------------------//
+/**
+ * Get approval templates owned by the given user, and templates owned by others that list the user as an approver
+ *
+ * @param {string} userId - The ID of the owner or approver to search for.
+ * @returns {Promise<Object[]>} Templates as { id, name, type }, where type is TEMPLATE or TEMPLATE_APPROVER
+ */
+async function discoverApprovalTemplates(userId) {
+	// There is no approver filter, so one scan of every template checks both its owner and its chain
+	const templates = await searchApprovalTemplates();
+	const owned = templates.filter(
+		(template) => template.owner && template.owner.id == userId
+	);
+	const ownedIds = new Set(owned.map((template) => template.id));
+
+	const approverOf = templates.filter(
+		(template) =>
+			!ownedIds.has(template.id) &&
+			(template.approvers || []).some(
+				(approver) =>
+					approver.type === 'PERSON' && approver.approverId == userId
+			)
+	);
 
-async function transferApprovalTemplates(userId, newOwnerId) {
-	// Use existing discovery logic
-	const url = '/api/synapse/approval/graphql';
+	return [
+		...owned.map((template) => ({
+			id: template.id,
+			name: template.title,
+			type: 'TEMPLATE'
+		})),
+		...approverOf.map((template) => ({
+			id: template.id,
+			name: template.title,
+			type: 'TEMPLATE_APPROVER'
+		}))
+	];
+}
 
-	const searchTemplatesBody = {
-		operationName: 'getFilteredTemplates',
-		variables: {
-			first: 100,
-			after: null,
-			orderBy: 'TEMPLATE',
-			reverseSort: false,
-			query: {
-				type: 'AC',
-				searchTerm: '',
-				category: [],
-				ownerId: userId,
-				publishedOnly: false
+async function getTemplateForEdit(id) {
+	const url = '/api/synapse/approval/graphql';
+	const getTemplateBody = {
+		operationName: 'getTemplateForEdit',
+		variables: { id },
+		query: `query getTemplateForEdit($id: ID!) {
+			template(id: $id) {
+				id
+				title
+				acknowledgment
+				description
+				providerName
+				owner {
+					id
+				}
+				isPublic
+				chainIsLocked
+				observers {
+					id
+					type
+					displayName
+					avatarKey
+					title
+					... on Group {
+						userCount
+					}
+				}
+				categories {
+					id
+				}
+				fields {
+					key
+					type
+					name
+					data
+					placeholder
+					required
+					isPrivate
+					... on SelectField {
+						option
+						multiselect
+						datasource
+						column
+						order
+					}
+				}
+				approvers {
+					type
+					originalType: type
+					key
+					... on ApproverPerson {
+						id: approverId
+						approverId
+						userDetails {
+							id
+							displayName
+							title
+							avatarKey
+							isDeleted
+						__typename
+						}
+					}
+					... on ApproverGroup {
+						id: approverId
+						approverId
+						groupDetails {
+							id
+							displayName
+							userCount
+							isDeleted
+						__typename
+						}
+					}
+					... on ApproverPlaceholder {
+						placeholderText
+					}
+					__typename
+				}
 			}
-		},
-		query: `query getFilteredTemplates(
-		  $first: Int
-		  $after: ID
-		  $orderBy: OrderBy
-		  $reverseSort: Boolean
-		  $query: TemplateQueryRequest!
-		) {
-		  templateConnection(
-		    first: $first
-		    after: $after
-		    orderBy: $orderBy
-		    reverseSort: $reverseSort
-		    query: $query
-		  ) {
-		    edges {
-		      cursor
-		      node {
-		        id
-		      }
-		    }
-		    pageInfo {
-		      hasNextPage
-		      hasPreviousPage
-		      startCursor
-		      endCursor
-		    }
-		  }
 		}`
 	};
 
-	const searchTemplatesResponse = await handleRequest(
-		'POST',
-		url,
-		searchTemplatesBody
-	);
-
-	if (searchTemplatesResponse.data.templateConnection.edges.length > 0) {
-		const approvalTemplateIds =
-			searchTemplatesResponse.data.templateConnection.edges.map(
-				(edge) => edge.node.id
-			);
+	const getTemplateResponse = await handleRequest('POST', url, getTemplateBody);
+	return getTemplateResponse.data.template;
+}
 
-		let getTemplateBody = {
-			operationName: 'getTemplateForEdit',
-			variables: {
-				id: null
-			},
-			query: `query getTemplateForEdit($id: ID!) {
-				template(id: $id) {
+async function saveTemplate(template) {
+	const url = '/api/synapse/approval/graphql';
+	const transferTemplateBody = {
+		operationName: 'saveTemplate',
+		variables: {
+			template: template
+		},
+		query: `mutation saveTemplate($template: TemplateInput!) {
+				template: saveTemplate(template: $template) {
 					id
 					title
+					titleName
+					titlePlaceholder
 					acknowledgment
+					instructions
 					description
 					providerName
 					isPublic
 					chainIsLocked
-					observers {
+					owner {
 						id
-						type
 						displayName
 						avatarKey
-						title
-						... on Group {
-							userCount
-						}
-					}
-					categories {
-						id
+						__typename
 					}
 					fields {
 						key
 						type
 						name
-						data
 						placeholder
 						required
-						isPrivate
-						... on SelectField {
-							option
-							multiselect
-							datasource
-							column
-							order
-						}
+						isLocked
+						__typename
 					}
 					approvers {
-						type
-						originalType: type
-						key
-						... on ApproverPerson {
-							id: approverId
-							approverId
-							userDetails {
-								id
-								displayName
-								title
-								avatarKey
-								isDeleted
+					type
+					originalType: type
+					key
+					... on ApproverPerson {
+						approverId
+						userDetails {
+							id
+							displayName
+							title
+							avatarKey
 							__typename
-							}
 						}
-						... on ApproverGroup {
-							id: approverId
-							approverId
-							groupDetails {
-								id
-								displayName
-								userCount
-								isDeleted
+						__typename
+					}
+					... on ApproverGroup {
+						approverId
+						groupDetails {
+							id
+							displayName
+							userCount
+							isDeleted
 							__typename
-							}
-						}
-						... on ApproverPlaceholder {
-							placeholderText
 						}
 						__typename
 					}
+					... on ApproverPlaceholder {
+						placeholderText
+						__typename
+					}
+					__typename
+					}
+					__typename
 				}
 			}`
-		};
+	};
 
-		// For each template—get full details, update owner, approvers, and observers—then save
-		for (let i = 0; i < approvalTemplateIds.length; i++) {
-			getTemplateBody.variables.id = approvalTemplateIds[i];
-			const getTemplateResponse = await handleRequest(
-				'POST',
-				url,
-				getTemplateBody
-			);
-			let template = getTemplateResponse.data.template;
+	await handleRequest('POST', url, transferTemplateBody);
+}
+
+/**
+ * Replace the user with the new owner in a template's approver chain and observers
+ *
+ * @param {Object} template - The template from getTemplateForEdit
+ * @param {string} userId - The ID of the user being replaced
+ * @param {string} newOwnerId - The ID of the user replacing them
+ * @returns {Object} The template
+ */
+function replaceTemplateUser(template, userId, newOwnerId) {
+	// Update approvers: if user is an approver, replace with new owner (only id, approverId, and type are required)
+	if (Array.isArray(template.approvers) && template.approvers.length > 0) {
+		template.approvers = template.approvers.map((approver) =>
+			approver.type === 'PERSON' &&
+			(approver.id == userId || approver.approverId == userId)
+				? { id: newOwnerId, approverId: newOwnerId, type: 'PERSON' }
+				: approver
+		);
+	}
+
+	// Remove duplicate approvers, in case the new owner was already an approver
+	template.approvers = removeDuplicateEntries(template.approvers);
+
+	// Update observers: if user is an observer, replace with new owner (only id and type are required)
+	if (Array.isArray(template.observers) && template.observers.length > 0) {
+		template.observers = template.observers.map((observer) =>
+			observer.type === 'PERSON' && observer.id == userId
+				? { id: newOwnerId, type: 'PERSON' }
+				: observer
+		);
+	}
+
+	// Remove duplicate observers, in case the new owner was already an observer
+	template.observers = removeDuplicateEntries(template.observers);
+
+	return template;
+}
+
+// Only entries with an ID can repeat, placeholder approvers have none and are all kept
+function removeDuplicateEntries(entries) {
+	if (!Array.isArray(entries)) {
+		return entries;
+	}
+
+	const seen = new Set();
+	return entries.filter((entry) => {
+		if (entry.id == null) {
+			return true;
+		}
+		const key = `${entry.type}:${entry.id}`;
+		if (seen.has(key)) {
+			return false;
+		}
+		seen.add(key);
+		return true;
+	});
+}
+
+async function applyApprovalTemplates(
+	ids,
+	userId,
+	newOwnerId,
+	discovered = {}
+) {
+	const getType = (id) => (discovered[id] && discovered[id].type) || 'TEMPLATE';
+
+	// Templates passed by ID are sorted by their owner and approver chain once they are fetched
+	const rewrite = async (id) => {
+		const template = await getTemplateForEdit(id);
+		if (!template) {
+			return { id, type: getType(id), status: 'NOT_FOUND', notes: null };
+		}
+
+		const ownerId = template.owner ? template.owner.id : null;
+		delete template.owner;
+		if (ownerId == userId) {
 			template.ownerId = newOwnerId;
+			await saveTemplate(replaceTemplateUser(template, userId, newOwnerId));
+			return { id, type: 'TEMPLATE', status: 'TRANSFERRED' };
+		}
 
-			// Update approvers: if user is an approver, replace with new owner (only id, approverId, and type are required)
-			if (Array.isArray(template.approvers) && template.approvers.length > 0) {
-				template.approvers = template.approvers.map((approver) =>
-					approver.type === 'PERSON' &&
-					(approver.id == userId || approver.approverId == userId)
-						? { id: newOwnerId, approverId: newOwnerId, type: 'PERSON' }
-						: approver
-				);
-			}
+		// Templates owned by someone else keep their owner, only the approver chain and observers change
+		const isApprover = (template.approvers || []).some(
+			(approver) =>
+				approver.type === 'PERSON' &&
+				(approver.id == userId || approver.approverId == userId)
+		);
+		if (!isApprover) {
+			return notOwnerResult(id, getType(id), ownerId);
+		}
+		template.ownerId = ownerId;
+		await saveTemplate(replaceTemplateUser(template, userId, newOwnerId));
+		return { id, type: 'TEMPLATE_APPROVER', status: 'TRANSFERRED' };
+	};
 
-			// Remove duplicate approvers based on id, in case the new owner was already an approver
-			template.approvers = template.approvers.filter(
-				(value, index, self) =>
-					index === self.findIndex((approver) => approver.id === value.id)
-			);
+	// For each template—get full details, update owner, approvers, and observers—then save
+	return [
+		...(await transferEach(
+			ids.filter((id) => getType(id) === 'TEMPLATE'),
+			'TEMPLATE',
+			rewrite
+		)),
+		...(await transferEach(
+			ids.filter((id) => getType(id) === 'TEMPLATE_APPROVER'),
+			'TEMPLATE_APPROVER',
+			rewrite
+		))
+	];
+}
 
-			// Update observers: if user is an observer, replace with new owner (only id and type are required)
-			if (Array.isArray(template.observers) && template.observers.length > 0) {
-				template.observers = template.observers.map((observer) =>
-					observer.type === 'PERSON' && observer.id == userId
-						? { id: newOwnerId, type: 'PERSON' }
-						: observer
-				);
-			}
+async function transferApprovalTemplates(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('TEMPLATE'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
 
-			// Remove duplicate observers based on id, in case the new owner was already an observer
-			template.observers = template.observers.filter(
-				(value, index, self) =>
-					index === self.findIndex((observer) => observer.id === value.id)
-			);
+//--------------------------------Custom Apps (Bricks and Pro Code Apps)-------------------------------------//
 
-			const transferTemplateBody = {
-				operationName: 'saveTemplate',
-				variables: {
-					template: template
-				},
-				query: `mutation saveTemplate($template: TemplateInput!) {
-						template: saveTemplate(template: $template) {
-							id
-							title
-							titleName
-							titlePlaceholder
-							acknowledgment
-							instructions
-							description
-							providerName
-							isPublic
-							chainIsLocked
-							owner {
-								id
-								displayName
-								avatarKey
-								__typename
-							}
-							fields {
-								key
-								type
-								name
-								placeholder
-								required
-								isLocked
-								__typename
-							}
-							approvers {
-							type
-							originalType: type
-							key
-							... on ApproverPerson {
-								approverId
-								userDetails {
-									id
-									displayName
-									title
-									avatarKey
-									__typename
-								}
-								__typename
-							}
-							... on ApproverGroup {
-								approverId
-								groupDetails {
-									id
-									displayName
-									userCount
-									isDeleted
-									__typename
-								}
-								__typename
-							}
-							... on ApproverPlaceholder {
-								placeholderText
-								__typename
-							}
-							__typename
-							}
-							__typename
-						}
-					}`
-			};
+/**
+ * Categorize a custom app design as a brick (APP) or pro code app (RYUU_APP)
+ *
+ * @param {Object} design - The app design, including versions
+ * @returns {string} The object type
+ */
+function getCustomAppType(design) {
+	if (
+		design.versions &&
+		design.versions.length > 0 &&
+		Object(design.versions[0]).hasOwnProperty('flags') &&
+		Object(design.versions[0].flags).hasOwnProperty('client-code-enabled') &&
+		design.versions[0].flags['client-code-enabled']
+	) {
+		return 'APP';
+	}
+	return 'RYUU_APP';
+}
+
+/**
+ * Get bricks and pro code apps owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Apps as { id, name, type }
+ */
+async function discoverCustomApps(userId) {
+	const apps = [];
+	const limit = 100;
+	let offset = 0;
+	let moreData = true;
+
+	while (moreData) {
+		const url = `/api/apps/v1/designs?checkAdminAuthority=true&deleted=false&limit=${limit}&offset=${offset}`;
+		const response = await handleRequest('GET', url);
+
+		if (response && response.length > 0) {
+			const items = response
+				.filter((design) => design.owner == userId)
+				.map((design) => ({
+					id: design.id,
+					name: design.name,
+					type: getCustomAppType(design)
+				}));
+			apps.push(...items);
+
+			if (response.length < limit) {
+				moreData = false;
+			}
 
-			await handleRequest('POST', url, transferTemplateBody);
+			offset += limit;
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
 		}
-		await logTransfers(userId, newOwnerId, 'TEMPLATE', approvalTemplateIds);
 	}
+
+	return apps;
 }
 
-//--------------------------------Custom Apps (Bricks and Pro Code Apps)-------------------------------------//
+async function applyCustomApps(ids, userId, newOwnerId, discovered = {}) {
+	return await Promise.all(
+		ids.map((appId) =>
+			withRetryNotes(async () => {
+				let type = discovered[appId] ? discovered[appId].type : null;
+
+				try {
+					if (!type) {
+						// We need to check each app to categorize it properly
+						const response = await handleRequest(
+							'GET',
+							`/api/apps/v1/designs/${appId}?parts=versions`
+						);
+						if (!response) {
+							return { id: appId, type: 'APP', status: 'NOT_FOUND' };
+						}
+						type = getCustomAppType(response);
+						if (response.owner != userId) {
+							return notOwnerResult(appId, type, response.owner);
+						}
+					}
+
+					const transferUrl = `/api/apps/v1/designs/${appId}/permissions/ADMIN`;
+					const body = [newOwnerId];
+					await handleRequest('POST', transferUrl, body);
+					return { id: appId, type, status: 'TRANSFERRED' };
+				} catch (error) {
+					return errorResult(appId, type || 'APP', error);
+				}
+			})
+		)
+	);
+}
 
 async function transferCustomApps(userId, newOwnerId, filteredIds = []) {
-	let allAppIds = [];
-	let bricks = [];
-	let proCodeApps = [];
+	await runSingleTransfer(
+		getTransferModule('APP'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		allAppIds = filteredIds;
+//-------------------------------------AI Models--------------------------------//
 
-		// We need to check each app to categorize it properly
-		for (const appId of filteredIds) {
-			const response = await handleRequest(
-				'GET',
-				`/api/apps/v1/designs/${appId}?parts=versions`
-			);
+/**
+ * Get AI models owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Models as { id, name }
+ */
+async function discoverAiModels(userId) {
+	const models = [];
+	const limit = 50;
+	let offset = 0;
+	let moreData = true;
 
-			if (response && response.owner == userId) {
-				if (
-					response.versions &&
-					response.versions.length > 0 &&
-					Object(response.versions[0]).hasOwnProperty('flags')
-				) {
-					if (
-						Object(response.versions[0].flags).hasOwnProperty(
-							'client-code-enabled'
-						)
-					) {
-						if (response.versions[0].flags['client-code-enabled']) {
-							bricks.push(appId);
-						} else {
-							proCodeApps.push(appId);
-						}
-					} else {
-						proCodeApps.push(appId);
-					}
-				} else {
-					proCodeApps.push(appId);
-				}
+	while (moreData) {
+		const data = {
+			limit: 50,
+			offset: 0,
+			sortFieldMap: {
+				CREATED: 'DESC'
+			},
+			searchFieldMap: { NAME: '' },
+			filters: [{ type: 'OWNER', values: [userId] }],
+			metricFilters: {},
+			dateFilters: {},
+			sortMetricMap: {}
+		};
 
-				const transferUrl = `/api/apps/v1/designs/${appId}/permissions/ADMIN`;
-				const body = [newOwnerId];
-				await handleRequest('POST', transferUrl, body);
-			}
-		}
-	} else {
-		// Use existing discovery logic
-		const limit = 100;
-		let offset = 0;
-		let moreData = true;
-
-		while (moreData) {
-			const url = `/api/apps/v1/designs?checkAdminAuthority=true&deleted=false&limit=${limit}&offset=${offset}`;
-			const response = await handleRequest('GET', url);
-
-			if (response && response.length > 0) {
-				for (let i = 0; i < response.length; i++) {
-					if (response[i].owner == userId) {
-						if (
-							response[i].versions &&
-							response[i].versions.length > 0 &&
-							Object(response[i].versions[0]).hasOwnProperty('flags')
-						) {
-							if (
-								Object(response[i].versions[0].flags).hasOwnProperty(
-									'client-code-enabled'
-								)
-							) {
-								if (response[i].versions[0].flags['client-code-enabled']) {
-									bricks.push(response[i].id);
-								} else {
-									proCodeApps.push(response[i].id);
-								}
-							} else {
-								proCodeApps.push(response[i].id);
-							}
-						} else {
-							proCodeApps.push(response[i].id);
-						}
-						const transferUrl = `/api/apps/v1/designs/${response[i].id}/permissions/ADMIN`;
-						const body = [newOwnerId];
-						await handleRequest('POST', transferUrl, body);
-					}
-				}
+		const response = await handleRequest(
+			'POST',
+			'/api/datascience/ml/v1/search/models',
+			data
+		);
 
-				if (response.length < limit) {
-					moreData = false;
-				}
+		if (response && response.models.length > 0) {
+			// Extract ids and append to list
+			const items = response.models.map((model) => ({
+				id: model.id,
+				name: model.name
+			}));
+			models.push(...items);
 
-				offset += limit;
-			} else {
-				// No more data returned, stop loop
+			if (response.models.length < limit) {
 				moreData = false;
 			}
+
+			offset += limit;
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
 		}
 	}
 
-	if (bricks.length > 0) {
-		await logTransfers(userId, newOwnerId, 'APP', bricks);
-	}
-	if (proCodeApps.length > 0) {
-		await logTransfers(userId, newOwnerId, 'RYUU_APP', proCodeApps);
-	}
+	return models;
 }
 
-//-------------------------------------AI Models--------------------------------//
+async function applyAiModels(ids, userId, newOwnerId) {
+	// Not recorded in the activity log
+	return await transferEach(ids, 'AI_MODEL', async (id) => {
+		const url = `/api/datascience/ml/v1/models/${id}/ownership`;
+		const data = { userId: newOwnerId };
+		await handleRequest('POST', url, data);
+	});
+}
 
 async function transferAiModels(userId, newOwnerId, filteredIds = []) {
-	let models = [];
+	await runSingleTransfer(
+		getTransferModule('AI_MODEL'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		models = filteredIds;
-	} else {
-		// Use existing discovery logic
-		const limit = 50;
-		let offset = 0;
-		let moreData = true;
-
-		while (moreData) {
-			const data = {
-				limit: 50,
-				offset: 0,
-				sortFieldMap: {
-					CREATED: 'DESC'
-				},
-				searchFieldMap: { NAME: '' },
-				filters: [{ type: 'OWNER', values: [userId] }],
-				metricFilters: {},
-				dateFilters: {},
-				sortMetricMap: {}
-			};
+//-----------------------------------AI Projects----------------------------------//
 
-			const response = await handleRequest(
-				'POST',
-				'/api/datascience/ml/v1/search/models',
-				data
-			);
+/**
+ * Get AI projects owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Projects as { id, name }
+ */
+async function discoverAiProjects(userId) {
+	const projects = [];
+	const limit = 50;
+	let offset = 0;
+	let moreData = true;
+
+	while (moreData) {
+		const data = {
+			limit: 50,
+			offset: 0,
+			sortFieldMap: {
+				CREATED: 'DESC'
+			},
+			searchFieldMap: { NAME: '' },
+			filters: [{ type: 'OWNER', values: [userId] }],
+			metricFilters: {},
+			dateFilters: {},
+			sortMetricMap: {}
+		};
 
-			if (response && response.models.length > 0) {
-				// Extract ids and append to list
-				const ids = response.models.map((model) => model.id);
-				models.push(...ids);
+		const response = await handleRequest(
+			'POST',
+			'/api/datascience/ml/v1/search/projects',
+			data
+		);
 
-				if (response.models.length < limit) {
-					moreData = false;
-				}
+		if (response && response.projects.length > 0) {
+			// Extract ids and append to list
+			const items = response.projects.map((project) => ({
+				id: project.id,
+				name: project.name
+			}));
+			projects.push(...items);
 
-				offset += limit;
-			} else {
-				// No more data returned, stop loop
+			if (response.projects.length < limit) {
 				moreData = false;
 			}
-		}
-	}
 
-	if (models.length > 0) {
-		for (let i = 0; i < models.length; i++) {
-			const url = `/api/datascience/ml/v1/models/${models[i]}/ownership`;
-			const data = { userId: newOwnerId };
-			await handleRequest('POST', url, data);
+			offset += limit;
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
 		}
-		await logTransfers(userId, newOwnerId, 'AI_MODEL', models); // Not recorded in the activity log
 	}
+
+	return projects;
 }
 
-//-----------------------------------AI Projects----------------------------------//
+async function applyAiProjects(ids, userId, newOwnerId) {
+	// Not recorded in the activity log
+	return await transferEach(ids, 'AI_PROJECT', async (id) => {
+		const url = `/api/datascience/ml/v1/projects/${id}/ownership`;
+		const data = { userId: newOwnerId };
+		await handleRequest('POST', url, data);
+	});
+}
 
 async function transferAiProjects(userId, newOwnerId, filteredIds = []) {
-	let projects = [];
+	await runSingleTransfer(
+		getTransferModule('AI_PROJECT'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		projects = filteredIds;
-	} else {
-		// Use existing discovery logic
-		const limit = 50;
-		let offset = 0;
-		let moreData = true;
-
-		while (moreData) {
-			const data = {
-				limit: 50,
-				offset: 0,
-				sortFieldMap: {
-					CREATED: 'DESC'
-				},
-				searchFieldMap: { NAME: '' },
-				filters: [{ type: 'OWNER', values: [userId] }],
-				metricFilters: {},
-				dateFilters: {},
-				sortMetricMap: {}
-			};
+//--------------------------ProjectsAndTasks--------------------------//
 
-			const response = await handleRequest(
-				'POST',
-				'/api/datascience/ml/v1/search/projects',
-				data
-			);
+async function getProjectsAndTasks(userId) {
+	let projects = [];
+	let tasks = [];
+	let offset = 0;
+	const limit = 100;
+	let moreData = true;
+
+	while (moreData) {
+		const response = await handleRequest(
+			'GET',
+			`/api/content/v2/users/${userId}/projects?limit=${limit}&offset=${offset}`
+		);
 
-			if (response && response.projects.length > 0) {
-				// Extract ids and append to list
-				const ids = response.projects.map((model) => model.id);
-				projects.push(...ids);
+		if (response && response.length > 0) {
+			// Extract ids and append to list
+			projects.push(...response.projects);
 
-				if (response.projects.length < limit) {
-					moreData = false;
-				}
+			// Increment offset to get next page
+			offset += limit;
 
-				offset += limit;
-			} else {
-				// No more data returned, stop loop
+			// If less than pageSize returned, this is the last page
+			if (response.length < limit) {
 				moreData = false;
 			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
 		}
 	}
 
-	if (projects.length > 0) {
-		for (let i = 0; i < projects.length; i++) {
-			const url = `/api/datascience/ml/v1/projects/${projects[i]}/ownership`;
-			const data = { userId: newOwnerId };
-			await handleRequest('POST', url, data);
+	// Get tasks for each project
+	for (let i = 0; i < projects.length; i++) {
+		const taskResponse = await handleRequest(
+			'GET',
+			`/api/content/v1/projects/${projects[i].id}/tasks?assignedToOwnerId=${userId}`
+		);
+
+		if (taskResponse && taskResponse.length > 0) {
+			tasks.push(...taskResponse);
 		}
-		await logTransfers(userId, newOwnerId, 'AI_PROJECT', projects); // Not recorded in the activity log
 	}
+
+	return { projects, tasks };
 }
 
-//--------------------------ProjectsAndTasks--------------------------//
+/**
+ * Get projects owned by and project tasks assigned to the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Projects and tasks as { id, name, type, project|task }
+ */
+async function discoverProjectsAndTasks(userId) {
+	const { projects, tasks } = await getProjectsAndTasks(userId);
+
+	return [
+		...projects
+			.filter((project) => project.assignedTo == userId)
+			.map((project) => ({
+				id: project.id,
+				name: project.projectName,
+				type: 'PROJECT',
+				project
+			})),
+		...tasks.map((task) => ({
+			id: task.id,
+			name: task.taskName,
+			type: 'PROJECT_TASK',
+			parent: { type: 'PROJECT', id: task.projectId },
+			task
+		}))
+	];
+}
 
-async function transferProjectsAndTasks(userId, newOwnerId, filteredIds = []) {
-	let allIds = [];
+async function applyProjectsAndTasks(ids, userId, newOwnerId, discovered = {}) {
 	let projects = [];
 	let tasks = [];
+	const results = [];
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list - combine PROJECT and PROJECT_TASK types
-		allIds = filteredIds;
-		// We'll need to fetch project details for each ID to process them properly
-		for (const id of filteredIds) {
-			try {
-				// Try to get as project first
-				const project = await handleRequest(
-					'GET',
-					`/api/content/v1/projects/${id}`
-				);
-				if (project && project.assignedTo == userId) {
-					projects.push(project);
-				}
-			} catch (error) {
-				// If not a project, might be a task
-				try {
-					const task = await handleRequest(
-						'GET',
-						`/api/content/v1/tasks/${id}`
-					);
-					if (task) {
-						tasks.push(task);
-					}
-				} catch (taskError) {
-					console.error(`Failed to process ID ${id}:`, taskError);
-				}
+	for (const id of ids) {
+		if (discovered[id]) {
+			if (discovered[id].type === 'PROJECT') {
+				projects.push(discovered[id].project);
+			} else {
+				tasks.push(discovered[id].task);
 			}
+			continue;
 		}
-	} else {
-		// Use existing discovery logic
-		let offset = 0;
-		const limit = 100;
-		let moreData = true;
 
-		while (moreData) {
-			const response = await handleRequest(
+		// We'll need to fetch project details for each ID to process them properly
+		try {
+			// Try to get as project first
+			const project = await handleRequest(
 				'GET',
-				`/api/content/v2/users/${userId}/projects?limit=${limit}&offset=${offset}`
+				`/api/content/v1/projects/${id}`
 			);
-
-			if (response && response.length > 0) {
-				// Extract ids and append to list
-				projects.push(...response.projects);
-
-				// Increment offset to get next page
-				offset += limit;
-
-				// If less than pageSize returned, this is the last page
-				if (response.length < limit) {
-					moreData = false;
-				}
+			if (project) {
+				projects.push(project);
 			} else {
-				// No more data returned, stop loop
-				moreData = false;
+				results.push({ id, type: 'PROJECT', status: 'NOT_FOUND' });
 			}
-		}
-
-		// Get tasks for each project
-		for (let i = 0; i < projects.length; i++) {
-			const taskResponse = await handleRequest(
-				'GET',
-				`/api/content/v1/projects/${projects[i].id}/tasks?assignedToOwnerId=${userId}`
-			);
-
-			if (taskResponse && taskResponse.length > 0) {
-				tasks.push(...taskResponse);
+		} catch (error) {
+			// If not a project, might be a task
+			try {
+				const task = await handleRequest('GET', `/api/content/v1/tasks/${id}`);
+				if (task) {
+					tasks.push(task);
+				} else {
+					results.push({ id, type: 'PROJECT_TASK', status: 'NOT_FOUND' });
+				}
+			} catch (taskError) {
+				results.push(errorResult(id, 'PROJECT', taskError));
 			}
 		}
 	}
 
 	// Process tasks
-	let taskIds = [];
-	for (const task of tasks) {
-		taskIds.push(task.id);
-		if (task.primaryTaskOwner == userId) {
-			task.primaryTaskOwner = newOwnerId;
-		}
-		task.contributors.push({
-			assignedTo: newOwnerId,
-			assignedBy: userId
-		});
-		task.owners.push({
-			assignedTo: newOwnerId,
-			assignedBy: userId
-		});
-		await handleRequest('PUT', `/api/content/v1/tasks/${task.id}`, task);
-	}
+	const tasksById = new Map(tasks.map((task) => [task.id, task]));
+	const taskResults = await transferEach(
+		[...tasksById.keys()],
+		'PROJECT_TASK',
+		async (taskId) => {
+			const task = tasksById.get(taskId);
+			if (task.primaryTaskOwner == userId) {
+				task.primaryTaskOwner = newOwnerId;
+			}
+			task.contributors.push({
+				assignedTo: newOwnerId,
+				assignedBy: userId
+			});
+			task.owners.push({
+				assignedTo: newOwnerId,
+				assignedBy: userId
+			});
+			await handleRequest('PUT', `/api/content/v1/tasks/${task.id}`, task);
+		}
+	);
+	results.push(...taskResults);
 
 	// Process projects
-	let projectIds = [];
-	for (const project of projects) {
-		if (project.assignedTo == userId) {
-			projectIds.push(project.id);
+	const projectsById = new Map(
+		projects.map((project) => [project.id, project])
+	);
+	const projectResults = await transferEach(
+		[...projectsById.keys()],
+		'PROJECT',
+		async (projectId) => {
+			const project = projectsById.get(projectId);
+			if (project.assignedTo != userId) {
+				return notOwnerResult(project.id, 'PROJECT', project.assignedTo);
+			}
 			const url = `/api/content/v1/projects/${project.id}`;
 			const body = { id: project.id, creator: newOwnerId };
 			await handleRequest('PUT', url, body);
 		}
-	}
+	);
+	results.push(...projectResults);
 
-	if (taskIds.length > 0) {
-		await logTransfers(userId, newOwnerId, 'PROJECT_TASK', taskIds);
-	}
-	if (projectIds.length > 0) {
-		await logTransfers(userId, newOwnerId, 'PROJECT', projectIds);
+	return results;
+}
+
+async function transferProjectsAndTasks(userId, newOwnerId, filteredIds = []) {
+	await runSingleTransfer(
+		getTransferModule('PROJECT'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
+
+/**
+ * Get metrics owned by the given user
+ *
+ * @param {string} userId - The ID of the owner to search for.
+ * @returns {Promise<Object[]>} Metrics as { id, name }
+ */
+async function discoverMetrics(userId) {
+	const metrics = [];
+	let moreData = true;
+	let offset = 0;
+	const limit = 100;
+
+	while (moreData) {
+		const data = {
+			nameContains: 'string',
+			filters: {
+				OWNER: [userId]
+			},
+			orderBy: 'CREATED',
+			followed: false,
+			descendingOrderBy: false,
+			limit: limit,
+			offset: offset
+		};
+
+		const response = await handleRequest(
+			'POST',
+			'/api/content/v1/metrics/filter',
+			data
+		);
+
+		if (response && response.metrics.length > 0) {
+			const items = response.metrics.map((metric) => ({
+				id: metric.id,
+				name: metric.name
+			}));
+			metrics.push(...items);
+
+			offset += limit;
+		} else {
+			moreData = false;
+		}
 	}
+
+	return metrics;
+}
+
+async function applyMetrics(ids, userId, newOwnerId) {
+	return await transferEach(ids, 'METRIC', async (metricId) => {
+		await handleRequest(
+			'POST',
+			`/api/content/v1/metrics/${metricId}/owner/${newOwnerId}`
+		);
+	});
 }
 
 async function transferMetrics(userId, newOwnerId, filteredIds = []) {
-	let metrics = [];
+	await runSingleTransfer(
+		getTransferModule('METRIC'),
+		createRun(userId, newOwnerId),
+		filteredIds
+	);
+}
 
-	if (filteredIds.length > 0) {
-		// Use the provided filtered list
-		for (const metricId of filteredIds) {
-			try {
-				await handleRequest(
-					'POST',
-					`/api/content/v1/metrics/${metricId}/owner/${newOwnerId}`
-				);
-				metrics.push(metricId);
-			} catch (error) {
-				console.error(`Failed to transfer metric ${metricId}:`, error);
+//--------------------------Shared Access--------------------------//
+
+// Access the user was given to objects they do not own. Each module finds what was shared with the user and gives the
+// new owner the same access, without changing ownership. They run when transferContent is called with
+// copySharedAccess, and log under their own types with a SHARED status so shares are never mistaken for ownership.
+const shareModules = [
+	{
+		type: 'ACCOUNT_SHARE',
+		discover: (userId) => discoverSharedWith('account', userId),
+		apply: applyAccountShares
+	},
+	{
+		type: 'DATA_SOURCE_SHARE',
+		discover: (userId) => discoverSharedWith('dataset', userId),
+		apply: applyDatasetShares
+	},
+	{
+		type: 'CARD_SHARE',
+		discover: (userId) => discoverSharedWith('card', userId),
+		apply: (ids, userId, newOwnerId) =>
+			applyContentShares(ids, 'CARD_SHARE', 'badge', newOwnerId)
+	},
+	{
+		type: 'PAGE_SHARE',
+		discover: (userId) => discoverSharedWith('page', userId),
+		apply: (ids, userId, newOwnerId) =>
+			applyContentShares(ids, 'PAGE_SHARE', 'page', newOwnerId)
+	},
+	{
+		type: 'GROUP_MEMBERSHIP',
+		discover: discoverGroupMemberships,
+		apply: applyGroupMemberships
+	},
+	{ type: 'APP_EDITOR', discover: discoverAppEditor, apply: applyAppEditor }
+].map((module) => ({
+	...module,
+	apply: async (...args) =>
+		(await module.apply(...args)).map((result) =>
+			result.status === 'TRANSFERRED' ? { ...result, status: 'SHARED' } : result
+		)
+}));
+
+/**
+ * Get objects of one search entity type that are shared with, but not owned by, the given user
+ *
+ * @param {string} entity - The search entity, such as card, page, dataset or account
+ * @param {string} userId - The ID of the user the objects are shared with
+ * @returns {Promise<Object[]>} Objects as { id, name }
+ */
+async function discoverSharedWith(entity, userId) {
+	const url = '/api/search/v1/query';
+	const objects = [];
+	let offset = 0;
+	const count = 50;
+	let moreData = true;
+
+	while (moreData) {
+		const data = {
+			count: count,
+			offset: offset,
+			combineResults: false,
+			query: '*',
+			filters: [
+				{
+					name: 'SHARED_WITH_ID',
+					field: 'shared_with_id',
+					facetType: 'user',
+					value: `${userId}:USER`,
+					filterType: 'term'
+				},
+				{
+					name: 'OWNED_BY_ID',
+					field: 'owned_by_id',
+					facetType: 'user',
+					value: `${userId}:USER`,
+					filterType: 'term',
+					not: true
+				}
+			],
+			entityList: [[entity]]
+		};
+
+		const response = await handleRequest('POST', url, data);
+
+		if (response.searchObjects && response.searchObjects.length > 0) {
+			const items = response.searchObjects.map((object) => ({
+				id: object.databaseId,
+				name: object.title || object.name
+			}));
+			objects.push(...items);
+
+			// Increment offset to get next page
+			offset += count;
+
+			// If less than pageSize returned, this is the last page
+			if (response.searchObjects.length < count) {
+				moreData = false;
 			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
 		}
-	} else {
-		// Use existing discovery logic
-		let moreData = true;
-		let offset = 0;
-		const limit = 100;
-
-		while (moreData) {
-			const data = {
-				nameContains: 'string',
-				filters: {
-					OWNER: [userId]
-				},
-				orderBy: 'CREATED',
-				followed: false,
-				descendingOrderBy: false,
-				limit: limit,
-				offset: offset
-			};
+	}
 
-			const response = await handleRequest(
-				'POST',
-				'/api/content/v1/metrics/filter',
-				data
-			);
+	return objects;
+}
 
-			if (response && response.metrics.length > 0) {
-				// Process metrics
-				for (const metric of response.metrics) {
-					await handleRequest(
-						'POST',
-						`/api/content/v1/metrics/${metric.id}/owner/${newOwnerId}`
-					);
-					metrics.push(metric.id);
+async function applyAccountShares(ids, userId, newOwnerId) {
+	return await transferEach(ids, 'ACCOUNT_SHARE', async (id) => {
+		const shareUrl = `/api/data/v2/accounts/share/${id}`;
+		// Give the new owner the same access level the user had
+		const accessList = await handleRequest('GET', shareUrl);
+		const share = (accessList || []).find(
+			(entry) => entry.type === 'USER' && entry.id == userId
+		);
+		const body = {
+			type: 'USER',
+			id: newOwnerId,
+			accessLevel: share ? share.accessLevel : 'CAN_VIEW'
+		};
+		await handleRequest('PUT', shareUrl, body);
+	});
+}
+
+async function applyDatasetShares(ids, userId, newOwnerId) {
+	return await transferEach(ids, 'DATA_SOURCE_SHARE', async (id) => {
+		// Give the new owner the same access level the user had
+		const response = await handleRequest(
+			'GET',
+			`/api/data/v3/datasources/${id}/permissions`
+		);
+		const share = ((response && response.list) || []).find(
+			(entry) => entry.type === 'USER' && entry.id == userId
+		);
+		const body = {
+			permissions: [
+				{
+					type: 'USER',
+					id: newOwnerId,
+					accessLevel: share ? share.accessLevel : 'CAN_VIEW'
 				}
+			],
+			sendEmail: false
+		};
+		await handleRequest('POST', `/api/data/v3/datasources/${id}/share`, body);
+	});
+}
 
-				offset += limit;
-			} else {
+async function applyContentShares(ids, type, resourceType, newOwnerId) {
+	const results = [];
+	const batchSize = 50;
+	for (let i = 0; i < ids.length; i += batchSize) {
+		const chunk = ids.slice(i, i + batchSize);
+		const body = {
+			resources: chunk.map((id) => ({ type: resourceType, id })),
+			recipients: [{ type: 'user', id: newOwnerId }],
+			message: ''
+		};
+		const chunkResults = await transferBatch(chunk, type, () =>
+			handleRequest('POST', '/api/content/v1/share?sendEmail=false', body)
+		);
+		results.push(...chunkResults);
+	}
+	return results;
+}
+
+/**
+ * Get groups the given user is a member of but does not own
+ *
+ * @param {string} userId - The ID of the member to search for.
+ * @returns {Promise<Object[]>} Groups as { id, name }
+ */
+async function discoverGroupMemberships(userId) {
+	const groups = [];
+	const limit = 100;
+	let offset = 0;
+	let moreData = true;
+
+	while (moreData) {
+		const url = `/api/content/v2/groups/grouplist?members=${userId}&limit=${limit}&offset=${offset}`;
+		const response = await handleRequest('GET', url);
+
+		if (response && response.length > 0) {
+			// Owned groups are handled by the GROUP transfer
+			const items = response
+				.filter(
+					(group) => !(group.owners || []).some((owner) => owner.id == userId)
+				)
+				.map((group) => ({ id: group.id, name: group.name }));
+			groups.push(...items);
+
+			// Increment offset to get next page
+			offset += limit;
+
+			// If less than pageSize returned, this is the last page
+			if (response.length < limit) {
 				moreData = false;
 			}
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
 		}
 	}
 
-	if (metrics.length > 0) {
-		await logTransfers(userId, newOwnerId, 'METRIC', metrics);
+	return groups;
+}
+
+async function applyGroupMemberships(ids, userId, newOwnerId) {
+	const body = ids.map((group) => ({
+		groupId: group,
+		addMembers: [{ type: 'USER', id: newOwnerId }],
+		removeMembers: []
+	}));
+
+	return await transferBatch(ids, 'GROUP_MEMBERSHIP', () =>
+		handleRequest('PUT', '/api/content/v2/groups/access', body)
+	);
+}
+
+/**
+ * Get custom apps the given user can edit but does not own
+ *
+ * @param {string} userId - The ID of the editor to search for.
+ * @returns {Promise<Object[]>} Apps as { id, name }
+ */
+async function discoverAppEditor(userId) {
+	const apps = [];
+	const limit = 100;
+	let offset = 0;
+	let moreData = true;
+
+	while (moreData) {
+		const url = `/api/apps/v1/designs?checkAdminAuthority=true&deleted=false&parts=permissions&limit=${limit}&offset=${offset}`;
+		const response = await handleRequest('GET', url);
+
+		if (response && response.length > 0) {
+			const items = response
+				.filter(
+					(design) =>
+						design.owner != userId &&
+						design.permissions &&
+						(design.permissions.CAN_EDIT || []).some((id) => id == userId)
+				)
+				.map((design) => ({ id: design.id, name: design.name }));
+			apps.push(...items);
+
+			if (response.length < limit) {
+				moreData = false;
+			}
+
+			offset += limit;
+		} else {
+			// No more data returned, stop loop
+			moreData = false;
+		}
 	}
+
+	return apps;
+}
+
+async function applyAppEditor(ids, userId, newOwnerId) {
+	return await transferEach(ids, 'APP_EDITOR', async (appId) => {
+		await handleRequest(
+			'POST',
+			`/api/apps/v1/designs/${appId}/permissions/CAN_EDIT`,
+			[newOwnerId]
+		);
+	});
+}
+
+/**
+ * Give the new owner the access a user had to objects they did not own, without transferring any ownership
+ *
+ * @param {number} userId - The ID of the user being offboarded
+ * @param {number} newOwnerId - The ID of the user receiving the access
+ * @returns {Promise<Object>} A summary of the shares copied (see summarizeResults)
+ */
+async function transferSharedAccess(userId, newOwnerId) {
+	return await executeRun(
+		createRun(userId, newOwnerId),
+		[],
+		false,
+		shareModules
+	);
 }